@@ -0,0 +1,148 @@
+/**
+ * Benchmark the matrix projection engine against the original
+ * per-word cosine path.
+ *
+ * Usage: node scripts/bench-projection.js [words] [dims] [topK]
+ *
+ * Builds a synthetic, L2-normalized vocabulary (same shape as
+ * embeddings.bin), then times select + project both ways and checks
+ * the two produce the same positions.
+ */
+
+import { buildAxisMatrix, scoreVocabulary, selectWordsForAxes, projectWords } from '../src/projection.js';
+import { cosineSimilarity, getVector } from '../src/vecmath.js';
+import { normalizeRows } from '../src/embeddingformat.js';
+
+const COUNT = parseInt(process.argv[2] || '50000');
+const DIMS = parseInt(process.argv[3] || '768');
+const TOP_K = parseInt(process.argv[4] || '7000');
+const SCALE = 80;
+const RUNS = 3;
+
+// Deterministic pseudo-random numbers so runs are comparable
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Lowercase-alpha words so they all pass the quality filter
+function syntheticWord(i) {
+  let s = '';
+  do {
+    s = String.fromCharCode(97 + (i % 26)) + s;
+    i = Math.floor(i / 26);
+  } while (i > 0);
+  return `wrd${s}`;
+}
+
+function buildVocabulary() {
+  const rand = mulberry32(42);
+  const vectors = new Float32Array(COUNT * DIMS);
+  for (let i = 0; i < vectors.length; i++) vectors[i] = rand() * 2 - 1;
+  normalizeRows(vectors, DIMS);
+  const words = Array.from({ length: COUNT }, (_, i) => syntheticWord(i));
+  return { words, vectors, dims: DIMS };
+}
+
+/**
+ * The original implementation: six cosineSimilarity calls per word for
+ * selection, then the same six again for every selected word.
+ */
+function legacySelectAndProject(vocabData, axisVectors, axisWords) {
+  const { words, vectors, dims } = vocabData;
+  const n = words.length;
+  const coords = (vec) => axisVectors.map(({ pos, neg }) => cosineSimilarity(vec, pos) - cosineSimilarity(vec, neg));
+
+  const mags = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    if (axisWords.has(words[i]) || !/^[a-z]{3,15}$/.test(words[i])) {
+      mags[i] = -1;
+      continue;
+    }
+    const [dx, dy, dz] = coords(getVector(i, vectors, dims));
+    mags[i] = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+  const indices = Array.from({ length: n }, (_, i) => i);
+  indices.sort((a, b) => mags[b] - mags[a]);
+  const selected = indices.filter(i => mags[i] > 0).slice(0, TOP_K);
+
+  const raw = selected.map(idx => coords(getVector(idx, vectors, dims)));
+  const selectedWords = selected.map(idx => words[idx]);
+  const sd = [0, 1, 2].map(k => {
+    const vals = raw.map(r => r[k]);
+    const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
+    return Math.sqrt(vals.reduce((a, v) => a + (v - mean) ** 2, 0) / vals.length) || 1;
+  });
+  return raw.map((r, i) => ({
+    word: selectedWords[i],
+    coords: [0, 1, 2].map(k => (r[k] / sd[k]) * SCALE),
+  }));
+}
+
+function matrixSelectAndProject(vocabData, axisVectors, axisWords) {
+  const scores = scoreVocabulary(vocabData, buildAxisMatrix(axisVectors, vocabData.dims));
+  const { indices } = selectWordsForAxes(vocabData, scores, axisWords, { count: TOP_K });
+  return projectWords(vocabData, scores, indices, SCALE);
+}
+
+function time(fn) {
+  const times = [];
+  let result;
+  for (let r = 0; r < RUNS; r++) {
+    const t0 = performance.now();
+    result = fn();
+    times.push(performance.now() - t0);
+  }
+  times.sort((a, b) => a - b);
+  return { result, median: times[Math.floor(RUNS / 2)] };
+}
+
+function main() {
+  console.log(`Building synthetic vocabulary: ${COUNT.toLocaleString()} x ${DIMS}...`);
+  const vocabData = buildVocabulary();
+
+  // Use six vocabulary rows as the poles of three axes
+  const row = (p) => new Float32Array(getVector(p * 997, vocabData.vectors, DIMS));
+  const axisVectors = [0, 1, 2].map(a => ({ pos: row(2 * a), neg: row(2 * a + 1) }));
+  const axisWords = new Set([0, 1, 2, 3, 4, 5].map(p => vocabData.words[p * 997]));
+
+  // Selection logs are noise here
+  const log = console.log;
+  console.log = () => {};
+  const legacy = time(() => legacySelectAndProject(vocabData, axisVectors, axisWords));
+  const matrix = time(() => matrixSelectAndProject(vocabData, axisVectors, axisWords));
+  console.log = log;
+
+  // Compare by word: float32 vs float64 rounding can reorder near-ties
+  // at the selection cutoff, so a handful of boundary words may differ
+  const byWord = new Map(matrix.result.map(w => [w.word, w]));
+  let maxDiff = 0;
+  let missing = 0;
+  for (const a of legacy.result) {
+    const b = byWord.get(a.word);
+    if (!b) {
+      missing++;
+      continue;
+    }
+    maxDiff = Math.max(maxDiff, ...a.coords.map((v, k) => Math.abs(v - b.coords[k])));
+  }
+
+  console.log(`\n--- select + project, top ${TOP_K.toLocaleString()} (median of ${RUNS}) ---`);
+  console.log(`Per-word cosine: ${legacy.median.toFixed(1)} ms`);
+  console.log(`Matrix pass:     ${matrix.median.toFixed(1)} ms`);
+  console.log(`Speedup:         ${(legacy.median / matrix.median).toFixed(2)}x`);
+  console.log(`Max position difference: ${maxDiff.toExponential(2)} (scale ${SCALE})`);
+  console.log(`Selection differences: ${missing} of ${legacy.result.length} words`);
+
+  if (missing > legacy.result.length * 0.001 || maxDiff > 1e-2) {
+    console.error('Results differ between the two implementations!');
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,55 @@
+/**
+ * Round-trip check for the embeddings.bin container.
+ *
+ * Usage: node scripts/check-embedding-format.js [words] [dims]
+ *
+ * Encodes a fixed, L2-normalized matrix in every dtype, decodes it as
+ * the app does, and checks the projections stay within
+ * PROJECTION_TOLERANCE of float32. Exits non-zero on any failure.
+ */
+
+import { DTYPES, PROJECTION_TOLERANCE, encodeEmbeddings, decodeEmbeddings, normalizeRows, measureProjectionError } from '../src/embeddingformat.js';
+import { mulberry32 } from '../src/random.js';
+
+const COUNT = parseInt(process.argv[2] || '2000');
+const DIMS = parseInt(process.argv[3] || '384');
+
+function buildMatrix() {
+  const rand = mulberry32(42);
+  const vectors = new Float32Array(COUNT * DIMS);
+  for (let i = 0; i < vectors.length; i++) vectors[i] = rand() * 2 - 1;
+  normalizeRows(vectors, DIMS);
+  return vectors;
+}
+
+function main() {
+  console.log(`Round-tripping a ${COUNT.toLocaleString()} x ${DIMS} matrix...`);
+  const original = buildMatrix();
+  let failed = false;
+
+  for (const dtype of Object.keys(DTYPES)) {
+    const encoded = encodeEmbeddings(original, DIMS, dtype);
+    const decoded = decodeEmbeddings(encoded, COUNT, { normalize: true });
+    if (decoded.dtype !== dtype || decoded.dims !== DIMS || decoded.count !== COUNT) {
+      console.error(`${dtype}: header read back as ${decoded.dtype}, ${decoded.dims}d, ${decoded.count} rows`);
+      failed = true;
+      continue;
+    }
+
+    const error = measureProjectionError(original, decoded.vectors, DIMS);
+    const ok = error.max <= PROJECTION_TOLERANCE[dtype];
+    console.log(
+      `${dtype.padEnd(8)} ${(encoded.byteLength / 1024).toFixed(0).padStart(6)} KB  ` +
+      `max ${error.max.toExponential(2)}  mean ${error.mean.toExponential(2)}  ` +
+      `tolerance ${PROJECTION_TOLERANCE[dtype]}  ${ok ? 'ok' : 'FAIL'}`
+    );
+    if (!ok) failed = true;
+  }
+
+  if (failed) {
+    console.error('Decoded embeddings drift beyond tolerance!');
+    process.exit(1);
+  }
+}
+
+main();
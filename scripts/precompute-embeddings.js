@@ -1,16 +1,19 @@
 import { readFile, writeFile, mkdir } from 'fs/promises';
 import { pipeline } from '@huggingface/transformers';
+import { MANIFEST_FILE, MODEL_DIMS, EMBEDDING_POOLING, EMBEDDING_NORMALIZED, createManifest, sha256 } from '../src/manifest.js';
+import { DTYPES, PROJECTION_TOLERANCE, encodeEmbeddings, decodeEmbeddings, measureProjectionError } from '../src/embeddingformat.js';
 
 const WORDLIST_PATH = 'data/wordlist.txt';
 const VOCAB_PATH = 'public/vocab.json';
 const EMBEDDINGS_PATH = 'public/embeddings.bin';
+const MANIFEST_PATH = `public/${MANIFEST_FILE}`;
 const BATCH_SIZE = 64;
 
+// Usage: node scripts/precompute-embeddings.js [float32|float16|int8]
+const DTYPE = process.argv[2] || 'int8';
+
 // Try mpnet first (768 dims), fall back to MiniLM (384 dims)
-const MODELS = [
-  { name: 'Xenova/all-mpnet-base-v2', dims: 768 },
-  { name: 'Xenova/all-MiniLM-L6-v2', dims: 384 },
-];
+const MODELS = Object.entries(MODEL_DIMS).map(([name, dims]) => ({ name, dims }));
 
 async function loadModel() {
   for (const model of MODELS) {
@@ -28,6 +31,10 @@ async function loadModel() {
 }
 
 async function main() {
+  if (!(DTYPE in DTYPES)) {
+    throw new Error(`Unknown dtype "${DTYPE}". Use one of: ${Object.keys(DTYPES).join(', ')}.`);
+  }
+
   // Load word list
   const raw = await readFile(WORDLIST_PATH, 'utf-8');
   const words = raw.trim().split('\n');
@@ -54,7 +61,7 @@ async function main() {
     // Embed each word individually (Transformers.js pipeline handles one at a time)
     for (let j = 0; j < batch.length; j++) {
       const wordIdx = i + j;
-      const output = await extractor(batch[j], { pooling: 'mean', normalize: true });
+      const output = await extractor(batch[j], { pooling: EMBEDDING_POOLING, normalize: EMBEDDING_NORMALIZED });
       const vec = output.data;
       embeddings.set(vec, wordIdx * dims);
     }
@@ -81,9 +88,39 @@ async function main() {
   await writeFile(VOCAB_PATH, JSON.stringify(words));
   console.log(`Saved ${VOCAB_PATH}`);
 
+  // Encode, then check the quantized vectors still project like the originals
+  const encoded = encodeEmbeddings(embeddings, dims, DTYPE);
+  const { vectors: decoded } = decodeEmbeddings(encoded, words.length, { normalize: EMBEDDING_NORMALIZED });
+  const error = measureProjectionError(embeddings, decoded, dims);
+  console.log(`Projection error (${DTYPE} vs float32): max ${error.max.toExponential(2)}, mean ${error.mean.toExponential(2)}`);
+  if (error.max > PROJECTION_TOLERANCE[DTYPE]) {
+    throw new Error(
+      `${DTYPE} projection error ${error.max.toExponential(2)} exceeds tolerance ${PROJECTION_TOLERANCE[DTYPE]}. ` +
+      'Use a wider dtype.'
+    );
+  }
+
   // Save embeddings.bin
-  await writeFile(EMBEDDINGS_PATH, Buffer.from(embeddings.buffer));
-  console.log(`Saved ${EMBEDDINGS_PATH}`);
+  await writeFile(EMBEDDINGS_PATH, Buffer.from(encoded));
+  console.log(`Saved ${EMBEDDINGS_PATH} (${DTYPE})`);
+
+  // Save the manifest so the app can check it loads a matching model
+  const manifest = createManifest({
+    model: modelName,
+    dims,
+    count: words.length,
+    dtype: DTYPE,
+    bytes: {
+      vocab: (await readFile(VOCAB_PATH)).length,
+      embeddings: (await readFile(EMBEDDINGS_PATH)).length,
+    },
+    checksums: {
+      vocab: await sha256(await readFile(VOCAB_PATH)),
+      embeddings: await sha256(await readFile(EMBEDDINGS_PATH)),
+    },
+  });
+  await writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`Saved ${MANIFEST_PATH}`);
 
   // Report
   const vocabSize = (await readFile(VOCAB_PATH)).length;
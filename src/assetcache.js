@@ -0,0 +1,167 @@
+/**
+ * Persistent browser cache for the vocabulary assets.
+ *
+ * vocab.json and embeddings.bin are stored in Cache Storage under a
+ * name derived from the manifest's embeddings checksum, so a new
+ * precompute run automatically invalidates the old copies. Model
+ * weights are cached by Transformers.js itself (its "transformers-cache"),
+ * which we only touch to clear it.
+ *
+ * Everything degrades to plain network fetches where Cache Storage is
+ * unavailable (insecure origins, some private browsing modes).
+ */
+
+const CACHE_PREFIX = 'strange-names-assets-';
+const MANIFEST_CACHE = 'strange-names-manifest';
+const MODEL_CACHE = 'transformers-cache';
+
+function hasCacheStorage() {
+  return typeof caches !== 'undefined';
+}
+
+/**
+ * Cache name for one published version of the vocabulary.
+ */
+function cacheName(version) {
+  return `${CACHE_PREFIX}${version}`;
+}
+
+/**
+ * Read a response body chunk by chunk, reporting bytes as they arrive.
+ *
+ * @param {Response} response
+ * @param {(loaded: number, total: number) => void} [onProgress]
+ * @param {number} [expectedBytes] - size hint when Content-Length is missing or compressed
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readWithProgress(response, onProgress, expectedBytes = 0) {
+  const header = Number(response.headers.get('Content-Length')) || 0;
+  const total = expectedBytes || header;
+
+  if (!response.body || !onProgress) {
+    const buf = await response.arrayBuffer();
+    if (onProgress) onProgress(buf.byteLength, buf.byteLength);
+    return buf;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, Math.max(total, loaded));
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  onProgress(loaded, loaded);
+  return bytes.buffer;
+}
+
+/**
+ * Look up a cached asset for a given vocabulary version.
+ *
+ * @returns {Promise<Response|null>}
+ */
+export async function getCachedAsset(version, name) {
+  if (!hasCacheStorage() || !version) return null;
+  try {
+    const cache = await caches.open(cacheName(version));
+    return (await cache.match(name)) || null;
+  } catch (err) {
+    console.warn(`Asset cache read failed for ${name}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Store an asset for a given vocabulary version, and drop caches left
+ * behind by older versions.
+ */
+export async function putCachedAsset(version, name, bytes) {
+  if (!hasCacheStorage() || !version) return;
+  try {
+    const cache = await caches.open(cacheName(version));
+    await cache.put(name, new Response(bytes, {
+      headers: { 'Content-Length': String(bytes.byteLength) },
+    }));
+    await pruneStaleVersions(version);
+  } catch (err) {
+    // Quota errors etc. — caching is an optimization, never fatal
+    console.warn(`Asset cache write failed for ${name}:`, err);
+  }
+}
+
+async function pruneStaleVersions(currentVersion) {
+  const keep = cacheName(currentVersion);
+  for (const name of await caches.keys()) {
+    if (name.startsWith(CACHE_PREFIX) && name !== keep) {
+      console.log(`Removing stale asset cache: ${name}`);
+      await caches.delete(name);
+    }
+  }
+}
+
+/**
+ * Remember the last manifest seen, so the app can start offline.
+ */
+export async function rememberManifest(manifest) {
+  if (!hasCacheStorage()) return;
+  try {
+    const cache = await caches.open(MANIFEST_CACHE);
+    await cache.put('manifest', new Response(JSON.stringify(manifest)));
+  } catch (err) {
+    console.warn('Could not cache manifest:', err);
+  }
+}
+
+/**
+ * @returns {Promise<object|null>} the last manifest seen, if any
+ */
+export async function recallManifest() {
+  if (!hasCacheStorage()) return null;
+  try {
+    const cache = await caches.open(MANIFEST_CACHE);
+    const resp = await cache.match('manifest');
+    return resp ? await resp.json() : null;
+  } catch (err) {
+    console.warn('Could not read cached manifest:', err);
+    return null;
+  }
+}
+
+/**
+ * Approximate bytes held by our caches (whole-origin estimate).
+ *
+ * @returns {Promise<number|null>}
+ */
+export async function estimateCacheBytes() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+  const { usage } = await navigator.storage.estimate();
+  return usage ?? null;
+}
+
+/**
+ * Delete every cached vocabulary version, the remembered manifest, and
+ * the Transformers.js model weights.
+ *
+ * @returns {Promise<number>} number of caches deleted
+ */
+export async function clearAssetCache() {
+  if (!hasCacheStorage()) return 0;
+  let deleted = 0;
+  for (const name of await caches.keys()) {
+    if (name.startsWith(CACHE_PREFIX) || name === MANIFEST_CACHE || name === MODEL_CACHE) {
+      if (await caches.delete(name)) deleted++;
+    }
+  }
+  console.log(`Cleared ${deleted} cache(s)`);
+  return deleted;
+}
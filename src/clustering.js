@@ -0,0 +1,170 @@
+/**
+ * Cluster the selected words in the original embedding space, so the
+ * cloud shows neighbourhoods of meaning rather than a uniform swarm.
+ *
+ * Spherical k-means: words and centroids are unit vectors and a word
+ * belongs to the centroid it has the highest cosine with. Seeding is
+ * k-means++ from a fixed seed, so a shared link clusters the same way.
+ */
+
+import { mulberry32 } from './random.js';
+
+export const MIN_CLUSTERS = 2;
+export const MAX_CLUSTERS = 20;
+export const DEFAULT_CLUSTER_COUNT = 8;
+
+const CLUSTER_SEED = 7;
+const MAX_ITERATIONS = 30;
+
+/**
+ * Copy the words' vectors into one unit-length (n × dims) matrix.
+ */
+function unitRows(vocabData, indices) {
+  const { vectors, dims } = vocabData;
+  const rows = new Float32Array(indices.length * dims);
+  indices.forEach((idx, i) => {
+    const src = idx * dims;
+    let norm = 0;
+    for (let d = 0; d < dims; d++) norm += vectors[src + d] * vectors[src + d];
+    norm = Math.sqrt(norm) || 1;
+    for (let d = 0; d < dims; d++) rows[i * dims + d] = vectors[src + d] / norm;
+  });
+  return rows;
+}
+
+function dotRows(a, i, b, j, dims) {
+  let sum = 0;
+  const oa = i * dims;
+  const ob = j * dims;
+  for (let d = 0; d < dims; d++) sum += a[oa + d] * b[ob + d];
+  return sum;
+}
+
+/**
+ * k-means++ seeding on cosine distance: each new centroid is a word
+ * drawn with probability proportional to its squared distance from the
+ * centroids chosen so far.
+ */
+function seedCentroids(rows, n, k, dims, rand) {
+  const centroids = new Float32Array(k * dims);
+  const nearest = new Float32Array(n).fill(Infinity);
+  let pick = Math.floor(rand() * n);
+
+  for (let c = 0; c < k; c++) {
+    centroids.set(rows.subarray(pick * dims, (pick + 1) * dims), c * dims);
+    if (c === k - 1) break;
+
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      const dist = 1 - dotRows(rows, i, centroids, c, dims);
+      if (dist < nearest[i]) nearest[i] = dist;
+      total += nearest[i] * nearest[i];
+    }
+    let r = rand() * total;
+    pick = n - 1;
+    for (let i = 0; i < n; i++) {
+      r -= nearest[i] * nearest[i];
+      if (r <= 0) {
+        pick = i;
+        break;
+      }
+    }
+  }
+  return centroids;
+}
+
+/**
+ * Cluster words by their embeddings.
+ *
+ * Clusters are numbered largest first. Each is named after its most
+ * central member — the word with the highest cosine to the centroid.
+ *
+ * @param {{ words: string[], vectors: Float32Array, dims: number }} vocabData
+ * @param {number[]} indices - vocabulary indices of the words to cluster
+ * @param {number} k - number of clusters (clamped to the number of words)
+ * @returns {{ assignments: Uint8Array, clusters: Array<{ name: string, size: number }> }}
+ *   assignments[i] is the cluster of indices[i]
+ */
+export function clusterWords(vocabData, indices, k) {
+  if (!(k >= MIN_CLUSTERS && k <= MAX_CLUSTERS)) {
+    throw new Error(`Cluster count must be between ${MIN_CLUSTERS} and ${MAX_CLUSTERS}, got ${k}.`);
+  }
+  const { dims } = vocabData;
+  const n = indices.length;
+  k = Math.min(k, n);
+  if (k === 0) return { assignments: new Uint8Array(0), clusters: [] };
+
+  const rows = unitRows(vocabData, indices);
+  const centroids = seedCentroids(rows, n, k, dims, mulberry32(CLUSTER_SEED));
+  const assignments = new Uint8Array(n);
+  const similarity = new Float32Array(n);
+  const sizes = new Uint32Array(k);
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    // Assign every word to its closest centroid
+    let changed = 0;
+    for (let i = 0; i < n; i++) {
+      let best = 0;
+      let bestSim = -Infinity;
+      for (let c = 0; c < k; c++) {
+        const sim = dotRows(rows, i, centroids, c, dims);
+        if (sim > bestSim) {
+          bestSim = sim;
+          best = c;
+        }
+      }
+      if (iter === 0 || assignments[i] !== best) changed++;
+      assignments[i] = best;
+      similarity[i] = bestSim;
+    }
+    if (changed === 0) break;
+
+    // Move each centroid to the (renormalized) mean of its words
+    centroids.fill(0);
+    sizes.fill(0);
+    for (let i = 0; i < n; i++) {
+      const c = assignments[i];
+      sizes[c]++;
+      for (let d = 0; d < dims; d++) centroids[c * dims + d] += rows[i * dims + d];
+    }
+    const reseeded = new Set();
+    for (let c = 0; c < k; c++) {
+      // An emptied cluster restarts at the word its centroid fits worst
+      if (sizes[c] === 0) {
+        let worst = -1;
+        for (let i = 0; i < n; i++) {
+          if (!reseeded.has(i) && (worst < 0 || similarity[i] < similarity[worst])) worst = i;
+        }
+        reseeded.add(worst);
+        centroids.set(rows.subarray(worst * dims, (worst + 1) * dims), c * dims);
+        continue;
+      }
+      let norm = 0;
+      for (let d = 0; d < dims; d++) norm += centroids[c * dims + d] ** 2;
+      norm = Math.sqrt(norm) || 1;
+      for (let d = 0; d < dims; d++) centroids[c * dims + d] /= norm;
+    }
+  }
+
+  // Size and most central member of each cluster
+  sizes.fill(0);
+  const central = new Int32Array(k).fill(-1);
+  for (let i = 0; i < n; i++) {
+    const c = assignments[i];
+    sizes[c]++;
+    if (central[c] < 0 || similarity[i] > similarity[central[c]]) central[c] = i;
+  }
+
+  // Renumber largest first, dropping any cluster left empty
+  const order = Array.from({ length: k }, (_, c) => c)
+    .filter(c => sizes[c] > 0)
+    .sort((a, b) => sizes[b] - sizes[a]);
+  const renumber = new Uint8Array(k);
+  order.forEach((c, rank) => { renumber[c] = rank; });
+  for (let i = 0; i < n; i++) assignments[i] = renumber[assignments[i]];
+
+  return {
+    assignments,
+    clusters: order.map(c => ({ name: vocabData.words[indices[central[c]]], size: sizes[c] })),
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * Word colour modes — what the colour of a word in the cloud encodes.
+ *
+ * createColoring() binds a mode to the words on show and returns the
+ * colour function the word cloud paints with (see wordcloud.js), plus a
+ * legend for the on-screen key. A legend has a title and either
+ * swatches ([{ color, label }]) or a ramp ({ colors, from, to }), and
+ * may carry a note when the mode has nothing to show yet.
+ */
+
+import * as THREE from 'three';
+import { BEACON_COLORS, clusterColor, toneColor } from './wordcloud.js';
+
+export const DEFAULT_COLOR_MODE = 'magnitude';
+
+// Words near the origin lean on no axis; in the axis mode they fade to this
+const AXIS_NEUTRAL = new THREE.Color('#9a9ab0');
+// Low to high ends of the similarity and frequency ramps
+const RAMP_LOW = new THREE.Color().setHSL(0.64, 0.55, 0.32);
+const RAMP_HIGH = new THREE.Color().setHSL(0.13, 0.95, 0.62);
+const RAMP_STOPS = 5;
+// Colour for words with no value in the mode (e.g. no query word yet)
+const UNKNOWN_COLOR = new THREE.Color('#555566');
+
+const AXIS_DIRECTIONS = {
+  'x+': new THREE.Vector3(1, 0, 0),
+  'x-': new THREE.Vector3(-1, 0, 0),
+  'y+': new THREE.Vector3(0, 1, 0),
+  'y-': new THREE.Vector3(0, -1, 0),
+  'z+': new THREE.Vector3(0, 0, 1),
+  'z-': new THREE.Vector3(0, 0, -1),
+};
+
+function rampColor(t) {
+  return RAMP_LOW.clone().lerp(RAMP_HIGH, Math.max(0, Math.min(1, t)));
+}
+
+function rampStops(colorAt) {
+  return Array.from({ length: RAMP_STOPS }, (_, i) => `#${colorAt(i / (RAMP_STOPS - 1)).getHexString()}`);
+}
+
+/**
+ * Brightness on magnitude — the original colouring.
+ */
+function byMagnitude() {
+  return {
+    colorOf: (w, tone) => toneColor(tone),
+    legend: {
+      title: 'Strength along the axes',
+      ramp: { colors: rampStops(toneColor), from: 'weak', to: 'strong' },
+    },
+  };
+}
+
+/**
+ * Blend of the beacon colours, each weighted by how far the word sits
+ * towards that beacon — as the minimap colours its position dot.
+ * Positions are scaled by the cloud's extent on each axis.
+ */
+function byDominantAxis(words, { beacons }) {
+  const extent = new THREE.Vector3(1e-6, 1e-6, 1e-6);
+  for (const w of words) {
+    extent.x = Math.max(extent.x, Math.abs(w.x));
+    extent.y = Math.max(extent.y, Math.abs(w.y));
+    extent.z = Math.max(extent.z, Math.abs(w.z));
+  }
+  const entries = Object.entries(AXIS_DIRECTIONS).map(([axis, dir]) => ({
+    dir, color: new THREE.Color(BEACON_COLORS[axis]),
+  }));
+  const at = new THREE.Vector3();
+
+  return {
+    colorOf(w) {
+      at.set(w.x, w.y, w.z).divide(extent);
+      const result = new THREE.Color(0, 0, 0);
+      let totalWeight = 0;
+      for (const { dir, color } of entries) {
+        const weight = Math.max(0, at.dot(dir));
+        result.r += color.r * weight;
+        result.g += color.g * weight;
+        result.b += color.b * weight;
+        totalWeight += weight;
+      }
+      if (totalWeight === 0) return AXIS_NEUTRAL.clone();
+      result.multiplyScalar(1 / totalWeight);
+      return result.lerp(AXIS_NEUTRAL, 1 - Math.min(1, totalWeight));
+    },
+    legend: {
+      title: 'Nearest beacon',
+      swatches: beacons.map(b => ({ color: BEACON_COLORS[b.axis], label: b.word })),
+    },
+  };
+}
+
+/**
+ * The word's embedding-space cluster (see clustering.js).
+ */
+function byCluster(words, { clusters }) {
+  if (!clusters) {
+    return {
+      colorOf: (w, tone) => toneColor(tone),
+      legend: { title: 'Cluster', note: 'Clustering…' },
+    };
+  }
+  return {
+    colorOf: (w, tone) => (w.cluster === undefined ? toneColor(tone) : clusterColor(w.cluster, 0.45 + 0.25 * tone)),
+    legend: {
+      title: 'Cluster',
+      swatches: clusters.map(({ name, size }, c) => ({
+        color: `#${clusterColor(c, 0.6).getHexString()}`,
+        label: `${name} (${size})`,
+      })),
+    },
+  };
+}
+
+/**
+ * Cosine to the query word in the full embedding space, stretched over
+ * the range found in the cloud. Reads each word's querySimilarity.
+ */
+function bySimilarity(words, { query }) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const w of words) {
+    if (w.querySimilarity === undefined) continue;
+    lo = Math.min(lo, w.querySimilarity);
+    hi = Math.max(hi, w.querySimilarity);
+  }
+  if (!query || lo > hi) {
+    return {
+      colorOf: () => UNKNOWN_COLOR.clone(),
+      legend: { title: 'Similarity', note: query ? `Comparing with “${query}”…` : 'Select a word to compare with (click or I)' },
+    };
+  }
+  const span = hi - lo || 1;
+  return {
+    colorOf: w => (w.querySimilarity === undefined ? UNKNOWN_COLOR.clone() : rampColor((w.querySimilarity - lo) / span)),
+    legend: {
+      title: `Similarity to “${query}”`,
+      ramp: { colors: rampStops(rampColor), from: `cos ${lo.toFixed(2)}`, to: `cos ${hi.toFixed(2)}` },
+    },
+  };
+}
+
+/**
+ * How common the word is. The vocabulary is in frequency order, so a
+ * word's rank is its index; colour goes with log rank.
+ */
+function byFrequency(words, { vocabSize }) {
+  const logSize = Math.log(1 + vocabSize);
+  return {
+    colorOf: w => rampColor(1 - Math.log(1 + w.rank) / logSize),
+    legend: {
+      title: 'Frequency',
+      ramp: { colors: rampStops(rampColor), from: `rare (#${vocabSize.toLocaleString()})`, to: 'common (#1)' },
+    },
+  };
+}
+
+/**
+ * Registered colour modes, in the order M cycles through them.
+ * `create(words, context)` → { colorOf(w, tone), legend }.
+ */
+export const COLOR_MODES = [
+  { id: 'magnitude', label: 'Strength', create: byMagnitude },
+  { id: 'axis', label: 'Dominant axis', create: byDominantAxis },
+  { id: 'cluster', label: 'Cluster', create: byCluster },
+  { id: 'similarity', label: 'Similarity to word', create: bySimilarity },
+  { id: 'frequency', label: 'Frequency', create: byFrequency },
+];
+
+/**
+ * Look up a colour mode by id.
+ *
+ * @param {string} [id] - defaults to DEFAULT_COLOR_MODE
+ * @returns {{ id: string, label: string, create: Function }}
+ */
+export function getColorMode(id = DEFAULT_COLOR_MODE) {
+  const mode = COLOR_MODES.find(m => m.id === id);
+  if (!mode) {
+    throw new Error(`Unknown colour mode "${id}" — expected one of ${COLOR_MODES.map(m => m.id).join(', ')}.`);
+  }
+  return mode;
+}
+
+/**
+ * Bind a colour mode to the words on show.
+ *
+ * @param {string} id - colour mode id
+ * @param {Array<{x: number, y: number, z: number, rank: number, cluster?: number, querySimilarity?: number}>} words
+ *   projected words, placed in the current slice
+ * @param {object} context
+ * @param {Array<{word: string, axis: string}>} context.beacons - the current slice's beacons
+ * @param {Array<{name: string, size: number}>|null} context.clusters
+ * @param {string|null} context.query - the word similarity is measured to
+ * @param {number} context.vocabSize
+ * @returns {{ mode: string, colorOf: (w: object, tone: number) => THREE.Color, legend: object }}
+ */
+export function createColoring(id, words, context) {
+  return { mode: id, ...getColorMode(id).create(words, context) };
+}
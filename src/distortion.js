@@ -0,0 +1,159 @@
+/**
+ * How faithfully the 3D cloud keeps the embedding space's neighbourhoods.
+ *
+ * Words that look close in a slice can be far apart in the full
+ * embedding space and vice versa. cloudNeighbours() finds a word's true
+ * nearest neighbours among the cloud's words, to draw as edges, and
+ * trustworthiness() scores the whole slice: 1 when every word's nearest
+ * neighbours in 3D are also near it in the embedding space, falling as
+ * the projection brings strangers close.
+ *
+ * Both work on the cloud's words (vocabulary indices, in launch order)
+ * and, for 3D distances, their coordinates on every axis plus the three
+ * axes of the slice.
+ */
+
+import { mulberry32 } from './random.js';
+
+// Words sampled for the trustworthiness score — each costs a pass over
+// the cloud in the full embedding space
+const TRUST_SAMPLE = 200;
+const TRUST_SEED = 3;
+
+/**
+ * Cosine of one cloud word to every cloud word.
+ */
+function cosinesTo(vocabData, indices, i, out) {
+  const { vectors, dims } = vocabData;
+  const t = indices[i] * dims;
+  for (let j = 0; j < indices.length; j++) {
+    const r = indices[j] * dims;
+    let sim = 0;
+    for (let d = 0; d < dims; d++) sim += vectors[r + d] * vectors[t + d];
+    out[j] = sim;
+  }
+  return out;
+}
+
+/**
+ * The k positions with the highest values, highest first, skipping `self`.
+ */
+function topK(values, k, self) {
+  const best = [];
+  for (let j = 0; j < values.length; j++) {
+    if (j === self) continue;
+    const v = values[j];
+    if (best.length === k && v <= values[best[k - 1]]) continue;
+    let at = best.length;
+    while (at > 0 && values[best[at - 1]] < v) at--;
+    best.splice(at, 0, j);
+    if (best.length > k) best.pop();
+  }
+  return best;
+}
+
+function sliceDistanceSq(coords, i, j, slice) {
+  let sum = 0;
+  for (const a of slice) {
+    const diff = coords[i][a] - coords[j][a];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+function median(values) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted.length ? sorted[sorted.length >> 1] : 0;
+}
+
+/**
+ * Each source word's k nearest neighbours among the cloud's words, in
+ * the full embedding space.
+ *
+ * @param {{ vectors: Float32Array, dims: number }} vocabData
+ * @param {number[]} indices - vocabulary indices of the cloud's words
+ * @param {number[]} sources - positions in indices
+ * @param {number} k
+ * @returns {{ sources: Uint32Array, targets: Uint32Array, cosines: Float32Array }}
+ *   one entry per edge, as positions in indices
+ */
+export function cloudNeighbours(vocabData, indices, sources, k) {
+  const sims = new Float32Array(indices.length);
+  const from = [];
+  const to = [];
+  const cos = [];
+  for (const i of sources) {
+    cosinesTo(vocabData, indices, i, sims);
+    for (const j of topK(sims, k, i)) {
+      from.push(i);
+      to.push(j);
+      cos.push(sims[j]);
+    }
+  }
+  return { sources: Uint32Array.from(from), targets: Uint32Array.from(to), cosines: Float32Array.from(cos) };
+}
+
+/**
+ * Trustworthiness of a slice (Venna & Kaski), estimated from a fixed
+ * sample of words: for each, the words among its k nearest in 3D that
+ * aren't among its k nearest in the embedding space are penalized by
+ * how far down its embedding-space ranking they sit.
+ *
+ * Also measures the typical ratio of 3D distance to cosine distance
+ * along true-neighbour edges, so an edge can be called stretched or
+ * squeezed relative to it.
+ *
+ * @param {{ vectors: Float32Array, dims: number }} vocabData
+ * @param {number[]} indices - vocabulary indices of the cloud's words
+ * @param {number[][]} coords - each word's coordinates on every axis
+ * @param {number[]} slice - the three axes flown
+ * @param {number} k
+ * @returns {{ score: number, stretch: number, sample: number }}
+ *   stretch is the median 3D / cosine distance ratio of neighbour edges
+ */
+export function trustworthiness(vocabData, indices, coords, slice, k) {
+  const n = indices.length;
+  k = Math.min(k, Math.floor((n - 1) / 2));
+  if (k < 1) return { score: 1, stretch: 1, sample: 0 };
+
+  // A fixed sample, so the score only moves when the layout does
+  const rand = mulberry32(TRUST_SEED);
+  const sample = [];
+  const picked = new Set();
+  while (sample.length < Math.min(TRUST_SAMPLE, n)) {
+    const i = Math.floor(rand() * n);
+    if (!picked.has(i)) {
+      picked.add(i);
+      sample.push(i);
+    }
+  }
+
+  const sims = new Float32Array(n);
+  const closeness = new Float32Array(n);
+  const ratios = [];
+  let penalty = 0;
+  for (const i of sample) {
+    cosinesTo(vocabData, indices, i, sims);
+    const trueNeighbours = new Set(topK(sims, k, i));
+    for (const j of trueNeighbours) {
+      const cosDistance = 1 - sims[j];
+      if (cosDistance > 1e-6) ratios.push(Math.sqrt(sliceDistanceSq(coords, i, j, slice)) / cosDistance);
+    }
+
+    // Nearest in 3D (closeness is negated distance, so topK applies)
+    for (let j = 0; j < n; j++) closeness[j] = -sliceDistanceSq(coords, i, j, slice);
+    for (const j of topK(closeness, k, i)) {
+      if (trueNeighbours.has(j)) continue;
+      // j's rank among i's embedding-space neighbours (1 = nearest)
+      let rank = 1;
+      for (let m = 0; m < n; m++) {
+        if (m !== i && sims[m] > sims[j]) rank++;
+      }
+      penalty += rank - k;
+    }
+  }
+
+  const m = sample.length;
+  const score = 1 - (2 / (m * k * (2 * n - 3 * k - 1))) * penalty;
+  return { score, stretch: median(ratios) || 1, sample: m };
+}
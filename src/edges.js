@@ -0,0 +1,84 @@
+/**
+ * Neighbour edges — line segments from words to their true nearest
+ * neighbours in the embedding space (see distortion.js), coloured by
+ * how much the slice distorts the distance between them.
+ *
+ * An edge's distortion is its 3D length over its cosine distance,
+ * relative to the typical ratio for neighbour edges in the slice: near
+ * 1 the slice is faithful, above it the pair is pulled apart, below it
+ * pushed together.
+ */
+
+import * as THREE from 'three';
+
+export const EDGE_COLORS = {
+  squeezed: '#4a8cff',
+  faithful: '#8adf8a',
+  stretched: '#ff5a5a',
+};
+
+// Distortion (as a power of two) at which an edge is fully stretched or squeezed
+const FULL_DISTORTION = 2;
+
+const squeezed = new THREE.Color(EDGE_COLORS.squeezed);
+const faithful = new THREE.Color(EDGE_COLORS.faithful);
+const stretched = new THREE.Color(EDGE_COLORS.stretched);
+
+/**
+ * Colour for an edge's distortion (1 = faithful).
+ *
+ * @param {number} distortion
+ * @returns {THREE.Color}
+ */
+export function edgeColor(distortion) {
+  const t = Math.max(-1, Math.min(1, Math.log2(distortion) / FULL_DISTORTION));
+  return faithful.clone().lerp(t > 0 ? stretched : squeezed, Math.abs(t));
+}
+
+/**
+ * Draw neighbour edges between words of the current slice.
+ *
+ * @param {THREE.Scene} scene
+ * @param {{ sources: Uint32Array, targets: Uint32Array, cosines: Float32Array }} edges
+ *   as positions in projectedWords (see engine.neighbourEdges)
+ * @param {Array<{x: number, y: number, z: number}>} projectedWords
+ * @param {number} stretch - the slice's typical 3D / cosine distance ratio
+ * @returns {THREE.LineSegments} already added to the scene
+ */
+export function buildNeighbourEdges(scene, edges, projectedWords, stretch) {
+  const count = edges.sources.length;
+  const positions = new Float32Array(count * 6);
+  const colors = new Float32Array(count * 6);
+  for (let e = 0; e < count; e++) {
+    const a = projectedWords[edges.sources[e]];
+    const b = projectedWords[edges.targets[e]];
+    positions.set([a.x, a.y, a.z, b.x, b.y, b.z], e * 6);
+
+    const length = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    const cosDistance = Math.max(1 - edges.cosines[e], 1e-6);
+    const { r, g, b: blue } = edgeColor(length / cosDistance / stretch);
+    colors.set([r, g, blue, r, g, blue], e * 6);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  const material = new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.6,
+    depthWrite: false,
+  });
+  const lines = new THREE.LineSegments(geometry, material);
+  scene.add(lines);
+  return lines;
+}
+
+/**
+ * Remove neighbour edges from the scene and free their buffers.
+ */
+export function disposeNeighbourEdges(scene, lines) {
+  scene.remove(lines);
+  lines.geometry.dispose();
+  lines.material.dispose();
+}
@@ -0,0 +1,327 @@
+/**
+ * Binary container for the vocabulary embeddings (embeddings.bin).
+ *
+ * Layout (little-endian):
+ *
+ *   offset  size  field
+ *   0       4     magic "SNEB"
+ *   4       2     format version (1)
+ *   6       1     dtype: 0 = float32, 1 = float16, 2 = int8
+ *   7       1     reserved (0)
+ *   8       4     dims
+ *   12      4     count (number of rows)
+ *   16      4     header size in bytes (offset of the payload)
+ *   20      12    reserved (0)
+ *
+ * Payload, row-major:
+ *   float32: count × dims × 4 bytes
+ *   float16: count × dims × 2 bytes (IEEE half precision)
+ *   int8:    count × 4 bytes of float32 per-row scale, then
+ *            count × dims signed bytes; value = q × scale
+ *
+ * Files without the magic are treated as the legacy headerless
+ * Float32Array dump. Shared by the app and scripts/precompute-embeddings.js.
+ */
+
+import { mulberry32 } from './random.js';
+
+export const FORMAT_MAGIC = 'SNEB';
+export const FORMAT_VERSION = 1;
+const HEADER_BYTES = 32;
+
+export const DTYPES = {
+  float32: 0,
+  float16: 1,
+  int8: 2,
+};
+
+// Largest allowed change in a projected coordinate, cos(W,A+) - cos(W,A-),
+// between the float32 vectors and the decoded quantized ones
+export const PROJECTION_TOLERANCE = { float32: 0, float16: 0.002, int8: 0.01 };
+
+const DTYPE_NAMES = Object.fromEntries(Object.entries(DTYPES).map(([name, code]) => [code, name]));
+
+// --- float16 conversion ---
+
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+/**
+ * Convert a float32 to IEEE half-precision bits (round to nearest even).
+ */
+function toHalf(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+
+  if (exp === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0); // Inf / NaN
+
+  const e = exp - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00; // overflow → Inf
+  if (e <= 0) {
+    // Subnormal half (or underflow to zero)
+    if (e < -10) return sign;
+    mant |= 0x800000;
+    const shift = 14 - e;
+    const half = mant >>> shift;
+    const rem = mant & ((1 << shift) - 1);
+    const mid = 1 << (shift - 1);
+    return sign | (half + (rem > mid || (rem === mid && (half & 1)) ? 1 : 0));
+  }
+
+  const half = sign | (e << 10) | (mant >>> 13);
+  const rem = mant & 0x1fff;
+  // Rounding may carry into the exponent, which is still correct
+  return half + (rem > 0x1000 || (rem === 0x1000 && (half & 1)) ? 1 : 0);
+}
+
+let halfTable = null;
+
+/**
+ * Lookup table of all 65536 half-precision values as float32.
+ */
+function getHalfTable() {
+  if (halfTable) return halfTable;
+  halfTable = new Float32Array(65536);
+  for (let h = 0; h < 65536; h++) {
+    const sign = h & 0x8000 ? -1 : 1;
+    const exp = (h >>> 10) & 0x1f;
+    const mant = h & 0x3ff;
+    let value;
+    if (exp === 0) value = mant * 2 ** -24;
+    else if (exp === 0x1f) value = mant ? NaN : Infinity;
+    else value = (1 + mant / 1024) * 2 ** (exp - 15);
+    halfTable[h] = sign * value;
+  }
+  return halfTable;
+}
+
+// --- Payload size ---
+
+// Byte alignment each dtype's typed-array view needs at the payload offset
+// (int8 payloads start with float32 scales)
+const PAYLOAD_ALIGNMENT = { float32: 4, float16: 2, int8: 4 };
+
+/**
+ * Bytes of payload after the header for count rows of dims values.
+ */
+function payloadBytes(dtype, count, dims) {
+  if (dtype === 'float32') return count * dims * 4;
+  if (dtype === 'float16') return count * dims * 2;
+  return count * 4 + count * dims;
+}
+
+// --- Encode ---
+
+/**
+ * Encode row-major float32 embeddings into the container format.
+ *
+ * @param {Float32Array} vectors - count × dims, row-major
+ * @param {number} dims
+ * @param {'float32'|'float16'|'int8'} dtype
+ * @returns {ArrayBuffer}
+ */
+export function encodeEmbeddings(vectors, dims, dtype = 'int8') {
+  if (!(dtype in DTYPES)) {
+    throw new Error(`Unknown dtype "${dtype}". Expected one of: ${Object.keys(DTYPES).join(', ')}.`);
+  }
+  const count = vectors.length / dims;
+  if (!Number.isInteger(count)) {
+    throw new Error(`${vectors.length} floats is not a whole number of ${dims}-d rows.`);
+  }
+
+  const scaleBytes = dtype === 'int8' ? count * 4 : 0;
+  const buffer = new ArrayBuffer(HEADER_BYTES + payloadBytes(dtype, count, dims));
+
+  const view = new DataView(buffer);
+  for (let i = 0; i < 4; i++) view.setUint8(i, FORMAT_MAGIC.charCodeAt(i));
+  view.setUint16(4, FORMAT_VERSION, true);
+  view.setUint8(6, DTYPES[dtype]);
+  view.setUint32(8, dims, true);
+  view.setUint32(12, count, true);
+  view.setUint32(16, HEADER_BYTES, true);
+
+  if (dtype === 'float32') {
+    new Float32Array(buffer, HEADER_BYTES).set(vectors);
+  } else if (dtype === 'float16') {
+    const out = new Uint16Array(buffer, HEADER_BYTES);
+    for (let i = 0; i < vectors.length; i++) out[i] = toHalf(vectors[i]);
+  } else {
+    const scales = new Float32Array(buffer, HEADER_BYTES, count);
+    const out = new Int8Array(buffer, HEADER_BYTES + scaleBytes);
+    for (let r = 0; r < count; r++) {
+      const start = r * dims;
+      let maxAbs = 0;
+      for (let d = 0; d < dims; d++) {
+        const a = Math.abs(vectors[start + d]);
+        if (a > maxAbs) maxAbs = a;
+      }
+      const scale = maxAbs / 127 || 1;
+      scales[r] = scale;
+      for (let d = 0; d < dims; d++) {
+        out[start + d] = Math.round(vectors[start + d] / scale);
+      }
+    }
+  }
+
+  return buffer;
+}
+
+// --- Decode ---
+
+/**
+ * Decode embeddings.bin into float32 rows.
+ *
+ * @param {ArrayBuffer} buffer
+ * @param {number} expectedCount - number of words in vocab.json
+ * @param {object} [options]
+ * @param {boolean} [options.normalize] - re-normalize quantized rows to unit length
+ * @returns {{ vectors: Float32Array, dims: number, count: number, dtype: string, version: number }}
+ */
+export function decodeEmbeddings(buffer, expectedCount, { normalize = false } = {}) {
+  if (!hasMagic(buffer)) {
+    return decodeLegacy(buffer, expectedCount);
+  }
+
+  const view = new DataView(buffer);
+  const version = view.getUint16(4, true);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`embeddings.bin is format version ${version}; this build reads version ${FORMAT_VERSION}.`);
+  }
+  const dtype = DTYPE_NAMES[view.getUint8(6)];
+  if (!dtype) {
+    throw new Error(`embeddings.bin has unknown dtype code ${view.getUint8(6)}.`);
+  }
+  const dims = view.getUint32(8, true);
+  const count = view.getUint32(12, true);
+  const offset = view.getUint32(16, true);
+
+  if (count !== expectedCount) {
+    throw new Error(
+      `embeddings.bin holds ${count} rows but vocab.json has ${expectedCount} words. ` +
+      'The vocab.json and embeddings.bin files may be out of sync.'
+    );
+  }
+  if (offset < HEADER_BYTES || offset % PAYLOAD_ALIGNMENT[dtype] !== 0) {
+    throw new Error(
+      `embeddings.bin puts its ${dtype} payload at byte ${offset}, inside the header or not ${PAYLOAD_ALIGNMENT[dtype]}-byte aligned. ` +
+      'The file may be corrupt.'
+    );
+  }
+  const expectedBytes = offset + payloadBytes(dtype, count, dims);
+  if (expectedBytes > buffer.byteLength) {
+    throw new Error(
+      `embeddings.bin is truncated: ${count} × ${dims} ${dtype} rows need ${expectedBytes} bytes but the file has ${buffer.byteLength}. ` +
+      'Try clearing the cache.'
+    );
+  }
+
+  const n = count * dims;
+  let vectors;
+
+  if (dtype === 'float32') {
+    // Copy so the rows are 4-byte aligned regardless of header size
+    vectors = new Float32Array(buffer.slice(offset, offset + n * 4));
+  } else if (dtype === 'float16') {
+    const table = getHalfTable();
+    const halves = new Uint16Array(buffer, offset, n);
+    vectors = new Float32Array(n);
+    for (let i = 0; i < n; i++) vectors[i] = table[halves[i]];
+  } else {
+    const scales = new Float32Array(buffer, offset, count);
+    const q = new Int8Array(buffer, offset + count * 4, n);
+    vectors = new Float32Array(n);
+    for (let r = 0; r < count; r++) {
+      const scale = scales[r];
+      const start = r * dims;
+      for (let d = 0; d < dims; d++) vectors[start + d] = q[start + d] * scale;
+    }
+  }
+
+  if (normalize && dtype !== 'float32') {
+    normalizeRows(vectors, dims);
+  }
+
+  return { vectors, dims, count, dtype, version };
+}
+
+function hasMagic(buffer) {
+  if (buffer.byteLength < HEADER_BYTES) return false;
+  const bytes = new Uint8Array(buffer, 0, 4);
+  for (let i = 0; i < 4; i++) {
+    if (bytes[i] !== FORMAT_MAGIC.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Headerless Float32Array dump — dimensionality is guessed from the size.
+ */
+function decodeLegacy(buffer, expectedCount) {
+  const vectors = new Float32Array(buffer);
+  const dims = vectors.length / expectedCount;
+  if (!Number.isInteger(dims)) {
+    throw new Error(
+      `Dimension mismatch: ${vectors.length} floats / ${expectedCount} words = ${dims} (not an integer). ` +
+      'The vocab.json and embeddings.bin files may be out of sync.'
+    );
+  }
+  return { vectors, dims, count: expectedCount, dtype: 'float32', version: 0 };
+}
+
+/**
+ * Scale each row to unit length in place.
+ */
+export function normalizeRows(vectors, dims) {
+  for (let start = 0; start < vectors.length; start += dims) {
+    let sum = 0;
+    for (let d = 0; d < dims; d++) sum += vectors[start + d] * vectors[start + d];
+    const norm = Math.sqrt(sum);
+    if (norm === 0) continue;
+    for (let d = 0; d < dims; d++) vectors[start + d] /= norm;
+  }
+}
+
+// --- Precision ---
+
+/**
+ * Project a sample of words onto random axis pairs with both sets of
+ * vectors and compare the coordinates. The sample is seeded, so the
+ * same vectors always give the same answer.
+ *
+ * @param {Float32Array} original - float32 rows
+ * @param {Float32Array} decoded - the same rows after encode and decode
+ * @param {number} dims
+ * @param {{ axes?: number, sample?: number, seed?: number }} [options]
+ * @returns {{ max: number, mean: number }} absolute coordinate error
+ */
+export function measureProjectionError(original, decoded, dims, { axes = 20, sample = 5000, seed = 1 } = {}) {
+  const count = original.length / dims;
+  const rand = mulberry32(seed);
+  const pick = () => Math.floor(rand() * count);
+  const dot = (v, i, j) => {
+    let sum = 0;
+    for (let d = 0; d < dims; d++) sum += v[i * dims + d] * v[j * dims + d];
+    return sum;
+  };
+
+  let max = 0;
+  let total = 0;
+  let n = 0;
+  for (let a = 0; a < axes; a++) {
+    const pos = pick();
+    const neg = pick();
+    for (let s = 0; s < sample; s++) {
+      const w = pick();
+      const exact = dot(original, w, pos) - dot(original, w, neg);
+      const approx = dot(decoded, w, pos) - dot(decoded, w, neg);
+      const err = Math.abs(exact - approx);
+      if (err > max) max = err;
+      total += err;
+      n++;
+    }
+  }
+  return { max, mean: total / n };
+}
@@ -4,154 +4,269 @@
  *
  * Vocabulary comes as two pre-computed files:
  *   - vocab.json: array of ~50k word strings
- *   - embeddings.bin: Float32Array binary (row-major, 50k x DIMS)
+ *   - embeddings.bin: row-major 50k x DIMS matrix, float32/float16/int8
+ *     (see embeddingformat.js)
+ * plus vocab.manifest.json naming the model that produced them
+ * (see manifest.js).
  *
- * The transformer model runs in-browser to embed the user's 6 axis
- * words in real-time.
+ * The user's 6 axis words are embedded in real-time by whichever
+ * provider loads (see providers.js): the live transformer, local ONNX
+ * files, or a model-free lookup into the vocabulary itself.
  */
 
-import { pipeline } from '@huggingface/transformers';
+import { createLiveProvider, createLocalProvider, createVocabProvider } from './providers.js';
+import { decodeEmbeddings } from './embeddingformat.js';
+import { getCachedAsset, putCachedAsset, readWithProgress, rememberManifest, recallManifest } from './assetcache.js';
+import { MANIFEST_FILE, sha256, inferManifest, validateManifest, assertCompatible } from './manifest.js';
 
 const ASSET_BASE = 'https://pub-de7dc117bc804c86ac426bb6bdfa8854.r2.dev';
 
-let _pipeline = null;
+let _provider = null;
+let _vocabulary = null;
 
 /**
- * Load pre-computed vocabulary embeddings from R2 (or local fallback in dev).
- *
- * @returns {{ words: string[], vectors: Float32Array, dims: number }}
+ * Fetch an asset from R2, falling back to the local dev server.
+ * Resolves to null if neither has it.
  */
-export async function loadVocabulary(progressCallback) {
+async function fetchAsset(name) {
   // Try R2 first, fall back to local for dev
-  let vocabResp = await fetch(`${ASSET_BASE}/vocab.json`);
-  if (!vocabResp.ok) {
-    vocabResp = await fetch('/vocab.json');
+  try {
+    const resp = await fetch(`${ASSET_BASE}/${name}`);
+    if (resp.ok) return resp;
+  } catch (err) {
+    console.warn(`Could not reach R2 for ${name}:`, err);
   }
-  if (!vocabResp.ok) {
-    throw new Error('Could not load vocab.json from R2 or locally.');
+  try {
+    const local = await fetch(`/${name}`);
+    return local.ok ? local : null;
+  } catch (err) {
+    console.warn(`Could not fetch /${name}:`, err);
+    return null;
   }
-  const words = await vocabResp.json();
+}
 
-  if (progressCallback) progressCallback(0.3);
+/**
+ * Load the vocabulary manifest, which records the model and
+ * dimensionality embeddings.bin was produced with. Falls back to the
+ * last manifest seen when the network is unavailable.
+ *
+ * @returns {Promise<object|null>} null for legacy assets published without one
+ */
+export async function loadManifest() {
+  let manifest = null;
+  try {
+    const resp = await fetchAsset(MANIFEST_FILE);
+    if (resp) manifest = await resp.json();
+  } catch (err) {
+    console.warn(`Could not fetch ${MANIFEST_FILE}:`, err);
+  }
 
-  let binResp = await fetch(`${ASSET_BASE}/embeddings.bin`);
-  if (!binResp.ok) {
-    binResp = await fetch('/embeddings.bin');
+  if (manifest) {
+    validateManifest(manifest);
+    await rememberManifest(manifest);
+  } else {
+    manifest = await recallManifest();
+    if (!manifest) {
+      console.warn(`No ${MANIFEST_FILE} found — will infer the model from the embedding dimensions.`);
+      return null;
+    }
+    validateManifest(manifest);
+    console.log('Using cached manifest (offline)');
   }
-  if (!binResp.ok) {
-    throw new Error('Could not load embeddings.bin from R2 or locally.');
+
+  console.log(`Manifest: ${manifest.model}, ${manifest.dims}d, ${manifest.count} words`);
+  return manifest;
+}
+
+/**
+ * Cache key for a manifest — the embeddings checksum, so any re-run of
+ * precompute-embeddings.js invalidates the cached files. Legacy assets
+ * have no checksum and are never cached.
+ */
+function cacheVersion(manifest) {
+  const sum = manifest?.checksums?.embeddings;
+  return sum ? sum.replace(/^sha256:/, '').slice(0, 16) : null;
+}
+
+/**
+ * Get an asset's bytes from the local cache, or download it.
+ *
+ * @returns {Promise<{ bytes: ArrayBuffer, cached: boolean }>}
+ */
+async function loadAssetBytes(name, version, expectedBytes, onProgress) {
+  const cachedResp = await getCachedAsset(version, name);
+  if (cachedResp) {
+    return { bytes: await readWithProgress(cachedResp, onProgress, expectedBytes), cached: true };
   }
-  const buf = await binResp.arrayBuffer();
-  const vectors = new Float32Array(buf);
+  const resp = await fetchAsset(name);
+  if (!resp) {
+    throw new Error(`Could not load ${name} from R2 or locally.`);
+  }
+  return { bytes: await readWithProgress(resp, onProgress, expectedBytes), cached: false };
+}
+
+/**
+ * Load pre-computed vocabulary embeddings from the local cache, R2, or
+ * the dev server, verifying them against the manifest.
+ *
+ * @param {(progress: number, detail: { loaded: number, total: number, cached: boolean }) => void} progressCallback
+ *   called with 0-1 progress across both files, by bytes
+ * @param {object|null} manifest - from loadManifest(); null for legacy assets
+ * @returns {{ words: string[], vectors: Float32Array, dims: number, manifest: object }}
+ */
+export async function loadVocabulary(progressCallback, manifest = null) {
+  const version = cacheVersion(manifest);
+  const sizes = manifest?.bytes || {};
 
-  if (progressCallback) progressCallback(0.9);
+  // Both files download in parallel; progress is the byte total across them
+  const progress = { vocab: [0, sizes.vocab || 0], embeddings: [0, sizes.embeddings || 0] };
+  let anyCached = false;
+  const report = (key) => (loaded, total) => {
+    progress[key] = [loaded, total];
+    if (!progressCallback) return;
+    const sumLoaded = progress.vocab[0] + progress.embeddings[0];
+    const sumTotal = progress.vocab[1] + progress.embeddings[1];
+    // Leave the last sliver for decoding and verification
+    const pct = sumTotal > 0 ? (sumLoaded / sumTotal) * 0.95 : 0;
+    progressCallback(pct, { loaded: sumLoaded, total: sumTotal, cached: anyCached });
+  };
 
-  // Detect dimensions from file size
-  const dims = vectors.length / words.length;
-  if (!Number.isInteger(dims)) {
-    throw new Error(
-      `Dimension mismatch: ${vectors.length} floats / ${words.length} words = ${dims} (not an integer). ` +
-      'The vocab.json and embeddings.bin files may be out of sync.'
-    );
+  const [vocabAsset, embeddingAsset] = await Promise.all([
+    loadAssetBytes('vocab.json', version, sizes.vocab, report('vocab')),
+    loadAssetBytes('embeddings.bin', version, sizes.embeddings, report('embeddings')),
+  ]);
+  anyCached = vocabAsset.cached || embeddingAsset.cached;
+
+  const vocabBytes = vocabAsset.bytes;
+  const buf = embeddingAsset.bytes;
+  const words = JSON.parse(new TextDecoder().decode(vocabBytes));
+
+  // Quantized rows are re-normalized so dot products stay true cosines
+  const { vectors, dims, dtype } = decodeEmbeddings(buf, words.length, {
+    normalize: !manifest || manifest.normalized,
+  });
+
+  if (manifest) {
+    await verifyAgainstManifest(manifest, { words, dims, dtype, vocabBytes, embeddingBytes: buf });
+    // Only verified files are cached
+    if (!vocabAsset.cached) await putCachedAsset(version, 'vocab.json', vocabBytes);
+    if (!embeddingAsset.cached) await putCachedAsset(version, 'embeddings.bin', buf);
+  } else {
+    manifest = inferManifest(dims, words.length);
+    console.warn(`Assuming legacy vocabulary was embedded with ${manifest.model} (${dims}d).`);
   }
 
-  console.log(`Loaded vocabulary: ${words.length} words, ${dims} dimensions`);
+  const source = vocabAsset.cached && embeddingAsset.cached ? 'cache' : 'network';
+  console.log(`Loaded vocabulary from ${source}: ${words.length} words, ${dims} dimensions (${dtype})`);
 
-  if (progressCallback) progressCallback(1);
+  if (progressCallback) {
+    const total = vocabBytes.byteLength + buf.byteLength;
+    progressCallback(1, { loaded: total, total, cached: anyCached });
+  }
 
-  return { words, vectors, dims };
+  _vocabulary = { words, vectors, dims, manifest };
+  return _vocabulary;
 }
 
 /**
- * Load the Transformers.js feature-extraction model.
- * Tries all-mpnet-base-v2 first, falls back to all-MiniLM-L6-v2.
+ * Throw if the downloaded files don't match what the manifest promises.
+ */
+async function verifyAgainstManifest(manifest, { words, dims, dtype, vocabBytes, embeddingBytes }) {
+  if (words.length !== manifest.count) {
+    throw new Error(`vocab.json has ${words.length} words but ${MANIFEST_FILE} expects ${manifest.count}.`);
+  }
+  if (dims !== manifest.dims) {
+    throw new Error(`embeddings.bin is ${dims}-d but ${MANIFEST_FILE} expects ${manifest.dims}-d.`);
+  }
+  if (manifest.dtype && dtype !== manifest.dtype) {
+    throw new Error(
+      `embeddings.bin is stored as ${dtype} but ${MANIFEST_FILE} expects ${manifest.dtype} — the files are out of sync. ` +
+      'Try clearing the cache.'
+    );
+  }
+  if (manifest.checksums) {
+    const [vocabSum, embeddingSum] = await Promise.all([sha256(vocabBytes), sha256(embeddingBytes)]);
+    if (vocabSum !== manifest.checksums.vocab) {
+      throw new Error(
+        `vocab.json does not match the checksum in ${MANIFEST_FILE} — the files are out of sync. ` +
+        'Try clearing the cache.'
+      );
+    }
+    if (embeddingSum !== manifest.checksums.embeddings) {
+      throw new Error(
+        `embeddings.bin does not match the checksum in ${MANIFEST_FILE} — the files are out of sync. ` +
+        'Try clearing the cache.'
+      );
+    }
+  }
+}
+
+/**
+ * Load an embedding provider that matches the vocabulary's embedding
+ * space, falling back through the chain until one works:
+ * live transformer → local ONNX files → offline vocabulary lookup.
+ *
+ * Only the manifest's model is tried, and a provider whose output
+ * doesn't match the manifest is rejected — mixing vectors from two
+ * models would make every cosine similarity meaningless.
  *
  * @param {(progress: number) => void} progressCallback - called with 0-1 progress
+ * @param {object} options
+ * @param {object} options.manifest - the vocabulary manifest to negotiate against
+ * @param {string} [options.preferred] - provider id to try first ('live' | 'local' | 'vocab')
+ * @param {(provider: object) => void} [options.onAttempt] - called before each provider is tried
+ * @returns {Promise<{ id: string, label: string, model: string|null, dims: number, fallback: boolean }>}
  */
-export async function loadModel(progressCallback) {
-  const models = [
-    'Xenova/all-mpnet-base-v2',
-    'Xenova/all-MiniLM-L6-v2',
+export async function loadModel(progressCallback, { manifest, preferred, onAttempt }) {
+  const models = [manifest.model];
+  const chain = [
+    createLiveProvider(models),
+    createLocalProvider(models),
+    createVocabProvider(() => _vocabulary, manifest),
   ];
+  const preferredIdx = chain.findIndex(p => p.id === preferred);
+  if (preferredIdx > 0) {
+    chain.unshift(...chain.splice(preferredIdx, 1));
+  }
 
-  for (const modelName of models) {
+  const failures = [];
+  for (const provider of chain) {
     try {
-      console.log(`Loading model: ${modelName}`);
-      _pipeline = await pipeline('feature-extraction', modelName, {
-        progress_callback: (data) => {
-          // Transformers.js progress events have { status, progress, ... }
-          if (data.status === 'progress' && typeof data.progress === 'number') {
-            if (progressCallback) progressCallback(data.progress / 100);
-          }
-        },
-      });
-      console.log(`Model loaded: ${modelName}`);
+      if (onAttempt) onAttempt(provider);
+      console.log(`Trying embedding provider: ${provider.label}`);
+      await provider.load(progressCallback);
+      assertCompatible(manifest, provider);
+      _provider = provider;
+      console.log(`Embedding provider ready: ${provider.label} (${provider.model}, ${provider.dims}d)`);
       if (progressCallback) progressCallback(1);
-      return;
+      return {
+        id: provider.id,
+        label: provider.label,
+        model: provider.model,
+        dims: provider.dims,
+        fallback: provider !== chain[0],
+      };
     } catch (err) {
-      console.warn(`Failed to load ${modelName}:`, err);
-      if (modelName === models[models.length - 1]) {
-        throw new Error(
-          `Could not load any transformer model. Tried: ${models.join(', ')}. ` +
-          'Check your network connection and try again.'
-        );
-      }
+      console.warn(`Provider ${provider.label} unavailable:`, err);
+      failures.push(`${provider.label}: ${err.message}`);
     }
   }
+
+  throw new Error(
+    `No embedding provider matches the vocabulary (${manifest.model}, ${manifest.dims}d). ${failures.join(' ')}`
+  );
 }
 
 /**
- * Embed an array of words using the loaded transformer model.
+ * Embed an array of words using the active provider.
  * Returns one Float32Array per word (mean-pooled sentence embedding).
  *
  * @param {string[]} words
  * @returns {Promise<Float32Array[]>}
  */
 export async function embedWords(words) {
-  if (!_pipeline) {
+  if (!_provider) {
     throw new Error('Model not loaded. Call loadModel() first.');
   }
-
-  const results = [];
-  for (const word of words) {
-    const output = await _pipeline(word, { pooling: 'mean', normalize: true });
-    // output.data is a flat Float32Array; output.dims tells us the shape
-    results.push(new Float32Array(output.data));
-  }
-  return results;
-}
-
-/**
- * Cosine similarity between two vectors (Float32Array or number[]).
- *
- * @param {Float32Array|number[]} a
- * @param {Float32Array|number[]} b
- * @returns {number}
- */
-export function cosineSimilarity(a, b) {
-  let dot = 0;
-  let magA = 0;
-  let magB = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    magA += a[i] * a[i];
-    magB += b[i] * b[i];
-  }
-  magA = Math.sqrt(magA);
-  magB = Math.sqrt(magB);
-  if (magA === 0 || magB === 0) return 0;
-  return dot / (magA * magB);
-}
-
-/**
- * Get the embedding vector for a word at a given index in the flat vectors array.
- *
- * @param {number} index - word index in the vocabulary
- * @param {Float32Array} vectors - flat row-major embedding data
- * @param {number} dims - embedding dimensionality
- * @returns {Float32Array} - slice view into the vectors array
- */
-export function getVector(index, vectors, dims) {
-  const start = index * dims;
-  return vectors.subarray(start, start + dims);
+  return _provider.embed(words);
 }
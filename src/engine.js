@@ -0,0 +1,232 @@
+/**
+ * Main-thread client for the embedding worker (engine.worker.js).
+ *
+ * Every call returns a promise and takes an optional progress callback;
+ * the heavy lifting (vocabulary download and decode, model inference,
+ * word selection and projection) happens off the main thread, so the
+ * UI keeps painting while it runs.
+ */
+
+/**
+ * Create the embedding engine and spawn its worker.
+ *
+ * @returns {object} engine with loadManifest, loadVocabulary, loadModel, launch, cluster, neighbours, similarity, complete, place, analogy, neighbourEdges, trustworthiness, cancel
+ */
+export function createEngine() {
+  const worker = new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' });
+
+  let nextId = 1;
+  const pending = new Map(); // id → { resolve, reject, onProgress }
+
+  worker.addEventListener('message', (e) => {
+    const { id, type, payload, message, cancelled } = e.data;
+    const req = pending.get(id);
+    if (!req) return;
+
+    if (type === 'progress') {
+      if (req.onProgress) req.onProgress(payload);
+    } else if (type === 'result') {
+      pending.delete(id);
+      req.resolve(payload);
+    } else if (type === 'error') {
+      pending.delete(id);
+      const err = new Error(message);
+      if (cancelled) err.name = 'CancelError';
+      req.reject(err);
+    }
+  });
+
+  worker.addEventListener('error', (e) => {
+    console.error('Embedding worker crashed:', e);
+    const err = new Error(`Embedding worker crashed: ${e.message || 'unknown error'}`);
+    for (const req of pending.values()) req.reject(err);
+    pending.clear();
+  });
+
+  function request(type, payload, onProgress) {
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+    });
+    promise.id = id;
+    worker.postMessage({ id, type, payload });
+    return promise;
+  }
+
+  let activeLaunch = null;
+
+  return {
+    /**
+     * @returns {Promise<object|null>} the vocabulary manifest (null for legacy assets)
+     */
+    loadManifest() {
+      return request('loadManifest');
+    },
+
+    /**
+     * @param {object|null} manifest
+     * @param {(p: { pct: number, loaded: number, total: number, cached: boolean }) => void} [onProgress]
+     * @returns {Promise<{ count: number, dims: number, manifest: object }>}
+     */
+    loadVocabulary(manifest, onProgress) {
+      return request('loadVocabulary', { manifest }, onProgress);
+    },
+
+    /**
+     * @param {{ manifest: object, preferred?: string }} options
+     * @param {(p: { pct: number, attempt?: string }) => void} [onProgress]
+     * @returns {Promise<{ id: string, label: string, model: string, dims: number, fallback: boolean }>}
+     */
+    loadModel(options, onProgress) {
+      return request('loadModel', options, onProgress);
+    },
+
+    /**
+     * Embed the axis poles, select and project the vocabulary onto
+     * every axis. Rejects with err.name === 'CancelError' if cancel()
+     * is called.
+     *
+     * The result's diagnostics hold the N × N axis-direction cosines in
+     * embedding space (before any orthogonalization) and the Pearson
+     * correlations of the projected coordinates, and under trimmed, the
+     * seed labels trimmed as outliers from each axis's poles. With options.clusters
+     * set to k, every word also gets the index of its embedding-space
+     * cluster, and the result the clusters' names and sizes.
+     *
+     * Every word also carries its projection score against each pole
+     * row (A1+, A1-, A2+, ...; shifted by orthogonalization, if on), its
+     * cosine to each pole itself, its coordinates before normalization and its frequency rank.
+     *
+     * @param {Array<{ pos: string[], neg: string[] }>} axes - 3 to 8 axes, each pole a list of seed expressions
+     * @param {{ scale: number, projector?: string, trimOutliers?: boolean, orthogonalize?: boolean, selection?: { strategy?: string, count?: number, include?: string[], exclude?: string[] }, clusters?: number }} options
+     * @param {(p: { stage: string, pct: number, axisCosines?: number[][] }) => void} [onProgress]
+     * @returns {Promise<{ projected: Array<{word: string, rank: number, coords: number[], magnitude: number, similarities: number[], cosines: number[], raw: number[], cluster?: number}>, axisCount: number, clusters: Array<{ name: string, size: number }>|null, diagnostics: object }>}
+     */
+    async launch(axes, options, onProgress) {
+      const promise = request('launch', { axes, options }, onProgress);
+      activeLaunch = promise.id;
+      try {
+        const { words, coords, raw, similarities, cosines, axisCount, magnitudes, ranks, diagnostics, clustering } = await promise;
+        const projected = words.map((word, i) => ({
+          word,
+          rank: ranks[i],
+          coords: Array.from(coords.subarray(i * axisCount, (i + 1) * axisCount)),
+          magnitude: magnitudes[i],
+          similarities: Array.from(similarities.subarray(i * axisCount * 2, (i + 1) * axisCount * 2)),
+          cosines: Array.from(cosines.subarray(i * axisCount * 2, (i + 1) * axisCount * 2)),
+          raw: Array.from(raw.subarray(i * axisCount, (i + 1) * axisCount)),
+        }));
+        if (clustering) clustering.assignments.forEach((c, i) => { projected[i].cluster = c; });
+        return { projected, axisCount, clusters: clustering ? clustering.clusters : null, diagnostics };
+      } finally {
+        activeLaunch = null;
+      }
+    },
+
+    /**
+     * Re-cluster the words of the last completed launch.
+     *
+     * @param {number} k
+     * @returns {Promise<{ assignments: Uint8Array, clusters: Array<{ name: string, size: number }> }>}
+     *   assignments in the same order as the launch's projected words
+     */
+    cluster(k) {
+      return request('cluster', { k });
+    },
+
+    /**
+     * A word's nearest neighbours in the full embedding space.
+     *
+     * @param {string} word
+     * @param {number} [count]
+     * @returns {Promise<Array<{ word: string, similarity: number }>>} most similar first
+     */
+    neighbours(word, count = 10) {
+      return request('neighbours', { word, count });
+    },
+
+    /**
+     * Cosine of each of the last completed launch's words to a word.
+     *
+     * @param {string} word
+     * @returns {Promise<Float32Array|null>} in the same order as the launch's
+     *   projected words; null if the word isn't in the vocabulary
+     */
+    similarity(word) {
+      return request('similarity', { word });
+    },
+
+    /**
+     * True nearest neighbours in embedding space, among the last
+     * completed launch's words, of some of them.
+     *
+     * @param {number[]} words - positions in the launch's projected words
+     * @param {number} k - neighbours per word
+     * @returns {Promise<{ sources: Uint32Array, targets: Uint32Array, cosines: Float32Array }>}
+     *   one entry per edge, as positions in the projected words
+     */
+    neighbourEdges(words, k) {
+      return request('neighbourEdges', { words, k });
+    },
+
+    /**
+     * Trustworthiness of a slice of the last completed launch: how far
+     * its 3D neighbourhoods are true to the embedding space (1 = fully).
+     *
+     * @param {number[]} slice - the three axes flown
+     * @param {number} k - neighbourhood size
+     * @returns {Promise<{ score: number, stretch: number, sample: number }>}
+     *   stretch is the typical 3D / cosine distance ratio of neighbour edges
+     */
+    trustworthiness(slice, k) {
+      return request('trustworthiness', { slice, k });
+    },
+
+    /**
+     * Vocabulary words starting with a prefix, most frequent first.
+     *
+     * @param {string} prefix
+     * @param {number} [count]
+     * @returns {Promise<string[]>}
+     */
+    complete(prefix, count = 8) {
+      return request('complete', { prefix, count });
+    },
+
+    /**
+     * Project a word onto the last completed launch's axes, normalized
+     * like the launch's own words, whether or not it was selected.
+     * Words outside the vocabulary (rank -1) are embedded by the model.
+     *
+     * @param {string} word
+     * @returns {Promise<{word: string, rank: number, coords: number[], magnitude: number, similarities: number[], cosines: number[], raw: number[]}>}
+     */
+    place(word) {
+      return request('place', { word });
+    },
+
+    /**
+     * Solve a : b :: c : ? in the full embedding space (b - a + c). Any of
+     * the words may be outside the vocabulary.
+     *
+     * @param {string} a
+     * @param {string} b
+     * @param {string} c
+     * @param {number} [count] - how many nearest vocabulary words to list
+     * @returns {Promise<{nearest: Array<{word: string, similarity: number}>, points: Array<{coords: number[]}>}>}
+     *   points are a, b, c and the result, on the last launch's axes
+     */
+    analogy(a, b, c, count = 8) {
+      return request('analogy', { a, b, c, count });
+    },
+
+    /**
+     * Cancel the launch in progress, if any.
+     */
+    cancel() {
+      if (activeLaunch !== null) {
+        worker.postMessage({ type: 'cancel', target: activeLaunch });
+      }
+    },
+  };
+}
@@ -0,0 +1,360 @@
+/**
+ * Embedding worker — owns the vocabulary, the embedding provider, and
+ * all of the vocabulary math, so the main thread only ever renders.
+ *
+ * Protocol (see engine.js for the main-thread side):
+ *   main → worker  { id, type, payload }
+ *   worker → main  { id, type: 'progress', payload }
+ *                  { id, type: 'result', payload }   (buffers transferred)
+ *                  { id, type: 'error', message, cancelled }
+ *                  { type: 'cancel', target } cancels request `target`
+ */
+
+import { loadManifest, loadVocabulary, loadModel, embedWords } from './embeddings.js';
+import {
+  MIN_AXES, MAX_AXES, buildAxisMatrix, scoreVocabulary, selectWordsForAxes, projectWords,
+  axisDirectionCosines, orthogonalizeAxisMatrix, coordinateCorrelations, nearestNeighbours,
+  similarityToWord, createWordPlacer, completeWord, nearestToVector, poleCosines,
+} from './projection.js';
+import { getProjector } from './projectors.js';
+import { getStrategy } from './strategies.js';
+import { clusterWords } from './clustering.js';
+import { cloudNeighbours, trustworthiness } from './distortion.js';
+import { expressionTexts } from './expression.js';
+import { parsePole, buildPoleVector } from './poles.js';
+
+// Rows scored between progress reports / cancellation checks
+const SCORE_BLOCK = 4096;
+
+let vocabData = null;
+
+// Pole text → embedding, kept across launches so editing one pole in
+// flight only embeds the seeds that changed. Cleared when the model does.
+const embeddingCache = new Map();
+
+// Vocabulary indices of the words the last launch projected, in result
+// order, so they can be re-clustered without a new launch
+let lastSelection = [];
+
+// Their coordinates on every axis, for 3D distances in any slice
+let lastCoords = [];
+
+// Places any other word on the last launch's axes and scale
+let placeVector = null;
+
+// Request ids still running, and those of them that have been cancelled
+const active = new Set();
+const cancelled = new Set();
+
+/**
+ * Error thrown inside a handler when its request was cancelled.
+ */
+function cancelError() {
+  const err = new Error('Cancelled.');
+  err.name = 'CancelError';
+  return err;
+}
+
+/**
+ * Let queued messages (like 'cancel') run, then bail out if this
+ * request was cancelled in the meantime.
+ */
+async function checkpoint(id) {
+  await new Promise(r => setTimeout(r, 0));
+  if (cancelled.has(id)) throw cancelError();
+}
+
+/**
+ * Score the whole vocabulary against the axes, a block at a time.
+ */
+async function scoreInBlocks(id, axisMatrix, onProgress) {
+  const n = vocabData.words.length;
+  let scores;
+  for (let start = 0; start < n; start += SCORE_BLOCK) {
+    onProgress(start / n);
+    scores = scoreVocabulary(vocabData, axisMatrix, { start, end: Math.min(start + SCORE_BLOCK, n), scores });
+    await checkpoint(id);
+  }
+  return scores;
+}
+
+const handlers = {
+  async loadManifest() {
+    return loadManifest();
+  },
+
+  async loadVocabulary(id, { manifest }, progress) {
+    vocabData = await loadVocabulary((pct, detail) => progress({ pct, ...detail }), manifest);
+    return { count: vocabData.words.length, dims: vocabData.dims, manifest: vocabData.manifest };
+  },
+
+  async loadModel(id, { manifest, preferred }, progress) {
+    embeddingCache.clear();
+    return loadModel((pct) => progress({ pct }), {
+      manifest,
+      preferred,
+      onAttempt: (provider) => progress({ pct: 0, attempt: provider.label }),
+    });
+  },
+
+  /**
+   * Embed the axis poles, pick the words to show, and project them onto
+   * every axis. Each pole is a list of seed expressions (see poles.js).
+   */
+  async launch(id, { axes, options }, progress) {
+    if (!vocabData) throw new Error('Vocabulary not loaded yet.');
+    if (axes.length < MIN_AXES || axes.length > MAX_AXES) {
+      throw new Error(`Between ${MIN_AXES} and ${MAX_AXES} axes are needed, got ${axes.length}.`);
+    }
+    const projector = getProjector(options.projector);
+    const selection = options.selection || {};
+    const strategy = getStrategy(selection.strategy);
+
+    // Parse each pole, then embed every distinct word or phrase once
+    const parsedAxes = axes.map(({ pos, neg }) => ({ pos: parsePole(pos), neg: parsePole(neg) }));
+    const texts = expressionTexts(parsedAxes.flatMap(({ pos, neg }) => [...pos.seeds, ...neg.seeds]));
+    const missing = texts.filter(text => !embeddingCache.has(text));
+    for (let i = 0; i < missing.length; i++) {
+      progress({ stage: 'embed', pct: i / missing.length });
+      const [vec] = await embedWords([missing[i]]);
+      embeddingCache.set(missing[i], vec);
+      await checkpoint(id);
+    }
+    if (missing.length < texts.length) {
+      console.log(`Embedded ${missing.length} new pole texts (${texts.length - missing.length} cached)`);
+    }
+    const vectorsByText = new Map(texts.map(text => [text, embeddingCache.get(text)]));
+
+    // Each pole's vector is the centroid of its seeds
+    const trimmedSeeds = parsedAxes.map(() => ({ pos: [], neg: [] }));
+    const axisVectors = parsedAxes.map((axis, a) => {
+      const vectors = {};
+      for (const side of ['pos', 'neg']) {
+        const { vector, trimmed } = buildPoleVector(axis[side], vectorsByText, options);
+        if (trimmed.length > 0) console.log(`Axis ${a + 1} ${side}: trimmed outlier seeds ${trimmed.join(', ')}`);
+        vectors[side] = vector;
+        trimmedSeeds[a][side] = trimmed;
+      }
+      return vectors;
+    });
+
+    // How much the axes overlap in embedding space, before any correction
+    const axisMatrix = buildAxisMatrix(axisVectors, vocabData.dims);
+    const axisCosines = axisDirectionCosines(axisMatrix, vocabData.dims);
+    progress({ stage: 'select', pct: 0, axisCosines });
+    // Orthogonalizing moves the pole rows, so keep the poles themselves
+    // for the cosines the word panel shows
+    const poleMatrix = options.orthogonalize ? Float32Array.from(axisMatrix) : axisMatrix;
+    if (options.orthogonalize) orthogonalizeAxisMatrix(axisMatrix, vocabData.dims);
+
+    // One matrix pass scores every word against every pole; selection and
+    // projection both read from it
+    const t0 = performance.now();
+    const scores = await scoreInBlocks(id, axisMatrix, (pct) => progress({ stage: 'select', pct }));
+    console.log(`scoreVocabulary: ${(performance.now() - t0).toFixed(1)}ms`);
+
+    // Select the words most relevant to these axes (never the axis words themselves)
+    const axisWords = new Set(texts);
+    const { indices: selectedIndices, missing: missingIncludes } = selectWordsForAxes(vocabData, scores, axisWords, { ...selection, strategy });
+    console.log(`selectWordsForAxes: selected ${selectedIndices.length} words`);
+    await checkpoint(id);
+
+    // Project selected words onto every axis
+    progress({ stage: 'project', pct: 0 });
+    const projected = projectWords(vocabData, scores, selectedIndices, options.scale, { projector, axisMatrix });
+    const P = poleMatrix.length / vocabData.dims;
+    const cosines = options.orthogonalize ? poleCosines(vocabData, poleMatrix, selectedIndices) : null;
+    projected.forEach((w, i) => {
+      w.cosines = cosines ? Array.from(cosines.subarray(i * P, (i + 1) * P)) : w.similarities;
+    });
+    await checkpoint(id);
+
+    // Neighbourhoods in embedding space, if asked for
+    const clustering = options.clusters ? clusterWords(vocabData, selectedIndices, options.clusters) : null;
+    lastSelection = selectedIndices;
+    lastCoords = projected.map(w => w.coords);
+    placeVector = createWordPlacer(projected, options.scale, { projector, axisMatrix, poleMatrix, dims: vocabData.dims });
+
+    const diagnostics = {
+      projector: projector.id,
+      strategy: strategy.id,
+      missingIncludes,
+      trimmed: trimmedSeeds,
+      axisCosines,
+      orthogonalized: !!options.orthogonalize,
+      cloudCorrelations: coordinateCorrelations(projected),
+    };
+    return packProjected(projected, diagnostics, clustering);
+  },
+
+  /**
+   * A word's nearest neighbours in the full embedding space.
+   */
+  async neighbours(id, { word, count }) {
+    if (!vocabData) throw new Error('Vocabulary not loaded yet.');
+    return nearestNeighbours(vocabData, word, count);
+  },
+
+  /**
+   * Cosine of each of the last launch's words to one word, or null if
+   * the word isn't in the vocabulary.
+   */
+  async similarity(id, { word }) {
+    if (!vocabData) throw new Error('Vocabulary not loaded yet.');
+    const similarities = similarityToWord(vocabData, word, lastSelection);
+    return similarities ? { result: similarities, transfer: [similarities.buffer] } : null;
+  },
+
+  /**
+   * True nearest neighbours, among the last launch's words, of some of
+   * them (positions in launch order).
+   */
+  async neighbourEdges(id, { words, k }) {
+    if (!vocabData) throw new Error('Vocabulary not loaded yet.');
+    const edges = cloudNeighbours(vocabData, lastSelection, words, k);
+    return { result: edges, transfer: [edges.sources.buffer, edges.targets.buffer, edges.cosines.buffer] };
+  },
+
+  /**
+   * How well a slice of the last launch keeps embedding-space
+   * neighbourhoods.
+   */
+  async trustworthiness(id, { slice, k }) {
+    if (!vocabData) throw new Error('Vocabulary not loaded yet.');
+    const t0 = performance.now();
+    const result = trustworthiness(vocabData, lastSelection, lastCoords, slice, k);
+    console.log(`trustworthiness: ${result.score.toFixed(3)} (k=${k}, ${result.sample} sampled) in ${(performance.now() - t0).toFixed(1)}ms`);
+    return result;
+  },
+
+  /**
+   * Vocabulary words starting with a prefix, for search autocomplete.
+   */
+  async complete(id, { prefix, count }) {
+    if (!vocabData) throw new Error('Vocabulary not loaded yet.');
+    return completeWord(vocabData, prefix, count);
+  },
+
+  /**
+   * Project one word onto the last launch's axes, as if it had been
+   * selected. Words outside the vocabulary are embedded by the model.
+   */
+  async place(id, { word }) {
+    if (!placeVector) throw new Error('Nothing launched yet.');
+    const { rank, vector } = await wordVector(word);
+    return { word, rank, ...placeVector(vector) };
+  },
+
+  /**
+   * Solve a : b :: c : ? as b - a + c, list the vocabulary words nearest
+   * the result and place a, b, c and the result (in that order) on the
+   * last launch's axes.
+   */
+  async analogy(id, { a, b, c, count }) {
+    if (!placeVector) throw new Error('Nothing launched yet.');
+    const [va, vb, vc] = (await Promise.all([a, b, c].map(wordVector))).map(w => w.vector);
+    const result = unitVector(vb.map((v, d) => v - va[d] + vc[d]));
+    return {
+      nearest: nearestToVector(vocabData, result, count, new Set([a, b, c])),
+      points: [va, vb, vc, result].map(v => ({ coords: placeVector(v).coords })),
+    };
+  },
+
+  /**
+   * Re-cluster the last launch's words into k clusters.
+   */
+  async cluster(id, { k }) {
+    if (!vocabData) throw new Error('Vocabulary not loaded yet.');
+    const t0 = performance.now();
+    const { assignments, clusters } = clusterWords(vocabData, lastSelection, k);
+    console.log(`clusterWords: ${clusters.length} clusters of ${lastSelection.length} words in ${(performance.now() - t0).toFixed(1)}ms`);
+    return { result: { assignments, clusters }, transfer: [assignments.buffer] };
+  },
+};
+
+/**
+ * A word's unit-length embedding: its vocabulary row, or else embedded
+ * by the model. rank is its vocabulary index, -1 if it has none.
+ */
+async function wordVector(word) {
+  const rank = vocabData.words.indexOf(word);
+  if (rank >= 0) {
+    const { vectors, dims } = vocabData;
+    return { rank, vector: vectors.subarray(rank * dims, (rank + 1) * dims) };
+  }
+  if (!embeddingCache.has(word)) {
+    const [vec] = await embedWords([word]);
+    embeddingCache.set(word, vec);
+  }
+  return { rank, vector: unitVector(embeddingCache.get(word)) };
+}
+
+function unitVector(vector) {
+  let norm = 0;
+  for (let d = 0; d < vector.length; d++) norm += vector[d] * vector[d];
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, v => v / norm);
+}
+
+/**
+ * Flatten projected words into typed arrays so they can be transferred
+ * instead of structured-cloned.
+ */
+function packProjected(projected, diagnostics, clustering) {
+  const axisCount = projected.length ? projected[0].coords.length : 0;
+  const coords = new Float32Array(projected.length * axisCount);
+  const raw = new Float32Array(projected.length * axisCount);
+  const similarities = new Float32Array(projected.length * axisCount * 2);
+  const cosines = new Float32Array(projected.length * axisCount * 2);
+  const magnitudes = new Float32Array(projected.length);
+  const ranks = new Uint32Array(projected.length);
+  projected.forEach((w, i) => {
+    coords.set(w.coords, i * axisCount);
+    raw.set(w.raw, i * axisCount);
+    similarities.set(w.similarities, i * axisCount * 2);
+    cosines.set(w.cosines, i * axisCount * 2);
+    magnitudes[i] = w.magnitude;
+    ranks[i] = w.rank;
+  });
+  const result = { words: projected.map(w => w.word), coords, raw, similarities, cosines, axisCount, magnitudes, ranks, diagnostics };
+  const transfer = [coords.buffer, raw.buffer, similarities.buffer, cosines.buffer, magnitudes.buffer, ranks.buffer];
+  if (clustering) {
+    result.clustering = clustering;
+    transfer.push(clustering.assignments.buffer);
+  }
+  return { result, transfer };
+}
+
+self.addEventListener('message', async (e) => {
+  const { id, type, payload, target } = e.data;
+
+  if (type === 'cancel') {
+    // A cancel for a request that already finished has nothing to stop
+    if (active.has(target)) cancelled.add(target);
+    return;
+  }
+
+  const handler = handlers[type];
+  if (!handler) {
+    self.postMessage({ id, type: 'error', message: `Unknown request type: ${type}` });
+    return;
+  }
+
+  const progress = (p) => self.postMessage({ id, type: 'progress', payload: p });
+
+  active.add(id);
+  try {
+    const out = await handler(id, payload || {}, progress);
+    if (out && out.transfer) {
+      self.postMessage({ id, type: 'result', payload: out.result }, out.transfer);
+    } else {
+      self.postMessage({ id, type: 'result', payload: out });
+    }
+  } catch (err) {
+    if (err.name !== 'CancelError') console.error(`Worker ${type} failed:`, err);
+    self.postMessage({ id, type: 'error', message: err.message, cancelled: err.name === 'CancelError' });
+  } finally {
+    active.delete(id);
+    cancelled.delete(id);
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * Axis pole expressions — lets a pole be more than a single word.
+ *
+ * Accepted forms:
+ *   love                      single word
+ *   ice cream                 phrase (embedded as a whole)
+ *   king - man + woman        vector arithmetic
+ *   0.7 ocean + 0.3 night     weighted sum (also "0.7*ocean")
+ *
+ * A term is whatever sits between the + / - operators. A "-" only
+ * counts as an operator when it stands alone or starts a token, so
+ * hyphenated words like "well-known" stay intact.
+ */
+
+// A leading number is only a weight when "*" or a space follows it, so
+// words like "3d" or "7up" stay whole
+const WEIGHT_RE = /^(\d+(?:\.\d+)?|\.\d+)(?:\s*\*\s*|\s+|$)(.*)$/;
+
+/**
+ * Parse a pole expression.
+ *
+ * @param {string} input
+ * @returns {{ terms: Array<{ weight: number, text: string }>, label: string }}
+ */
+export function parseExpression(input) {
+  const source = input.trim().toLowerCase();
+  if (!source) {
+    throw new Error('Empty pole — type a word, phrase or expression.');
+  }
+
+  // Split into operators and words
+  const tokens = [];
+  for (let raw of source.split(/\s+/)) {
+    // Peel operators off the front ("-king", "--king")
+    while (raw.length > 1 && /^[+-]/.test(raw)) {
+      tokens.push(raw[0]);
+      raw = raw.slice(1);
+    }
+    tokens.push(raw);
+  }
+
+  // Group words between operators into signed terms
+  const terms = [];
+  let sign = 1;
+  let words = [];
+  let expectTerm = true;
+  let afterOperator = false;
+
+  const flush = () => {
+    if (words.length === 0) {
+      throw new Error(`"${input.trim()}" has an operator with nothing after it.`);
+    }
+    terms.push(parseTerm(words.join(' '), sign, input));
+    words = [];
+  };
+
+  for (const token of tokens) {
+    if (token === '+' || token === '-') {
+      // A doubled operator is a typo, not a sign to guess at
+      if (afterOperator) {
+        throw new Error(`"${input.trim()}" has two operators in a row.`);
+      }
+      if (!expectTerm) flush();
+      afterOperator = true;
+      sign = token === '-' ? -1 : 1;
+      expectTerm = true;
+    } else {
+      words.push(token);
+      expectTerm = false;
+      afterOperator = false;
+    }
+  }
+  flush();
+
+  const parsed = { terms };
+  parsed.label = formatExpression(parsed);
+  return parsed;
+}
+
+/**
+ * Split an optional leading weight off a term.
+ */
+function parseTerm(text, sign, input) {
+  const match = WEIGHT_RE.exec(text);
+  if (!match) return { weight: sign, text };
+
+  const [, weight, rest] = match;
+  if (!rest.trim()) {
+    throw new Error(`"${input.trim()}" has a weight (${weight}) with no word after it.`);
+  }
+  return { weight: sign * parseFloat(weight), text: rest.trim() };
+}
+
+/**
+ * Human-readable form of a parsed expression, e.g. "king − man + woman".
+ *
+ * @param {{ terms: Array<{ weight: number, text: string }> }} parsed
+ * @returns {string}
+ */
+export function formatExpression(parsed) {
+  return parsed.terms.map((term, i) => {
+    const magnitude = Math.abs(term.weight);
+    const body = magnitude === 1 ? term.text : `${+magnitude.toFixed(3)} ${term.text}`;
+    if (i === 0) return term.weight < 0 ? `−${body}` : body;
+    return `${term.weight < 0 ? '−' : '+'} ${body}`;
+  }).join(' ');
+}
+
+/**
+ * Every distinct text that needs embedding for a set of expressions.
+ *
+ * @param {Array<{ terms: Array<{ text: string }> }>} expressions
+ * @returns {string[]}
+ */
+export function expressionTexts(expressions) {
+  const texts = new Set();
+  for (const expr of expressions) {
+    for (const term of expr.terms) texts.add(term.text);
+  }
+  return [...texts];
+}
+
+/**
+ * Combine term embeddings into one unit-length pole vector.
+ *
+ * @param {{ terms: Array<{ weight: number, text: string }> }} parsed
+ * @param {Map<string, Float32Array>} vectorsByText - embedding for each term text
+ * @returns {Float32Array}
+ */
+export function combineExpression(parsed, vectorsByText) {
+  const first = vectorsByText.get(parsed.terms[0].text);
+  const out = new Float32Array(first.length);
+
+  for (const term of parsed.terms) {
+    const vec = vectorsByText.get(term.text);
+    for (let d = 0; d < out.length; d++) out[d] += term.weight * vec[d];
+  }
+
+  let norm = 0;
+  for (let d = 0; d < out.length; d++) norm += out[d] * out[d];
+  norm = Math.sqrt(norm);
+  if (norm === 0) {
+    throw new Error(`"${formatExpression(parsed)}" cancels out to a zero vector.`);
+  }
+  for (let d = 0; d < out.length; d++) out[d] /= norm;
+  return out;
+}
@@ -2,16 +2,55 @@
  * Dreamy flight controls — like a person drifting through clouds.
  *
  * Uses PointerLockControls for mouse look, velocity-based movement
- * with high damping for that floaty feel.
+ * with high damping for that floaty feel. Keys and gamepad buttons reach
+ * the flight actions through rebindable bindings (see input.js); the
+ * gamepad's sticks move and look, and its analog triggers push the
+ * same velocity model as keys do.
+ *
+ * Phones have no pointer lock, so with touch controls (see touch.js)
+ * "locked" means flying under touch instead, and the lock and unlock
+ * events are raised here.
  */
 
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { createInputBindings, createGamepadInput } from './input.js';
+
+// Held flight actions (boost aside) and the direction each pushes in
+const MOVE_ACTIONS = {
+  forward: ['forward', 1],
+  backward: ['forward', -1],
+  right: ['right', 1],
+  left: ['right', -1],
+  up: ['up', 1],
+  down: ['up', -1],
+};
+
+const BEACON_ACTIONS = ['beacon1', 'beacon2', 'beacon3', 'beacon4', 'beacon5', 'beacon6'];
+
+const worldUp = new THREE.Vector3(0, 1, 0);
+const yawEuler = new THREE.Euler();
+
+function yawOf(quaternion) {
+  return yawEuler.setFromQuaternion(quaternion, 'YXZ').y;
+}
 
 export class FlightController {
-  constructor(camera, domElement) {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {HTMLElement} domElement
+   * @param {object} [options]
+   * @param {ReturnType<typeof createInputBindings>} [options.bindings] - shared with a rebinding UI
+   * @param {object|null} [options.touch] - touch controls (see touch.js), replacing pointer lock
+   */
+  constructor(camera, domElement, { bindings = createInputBindings(), touch = null } = {}) {
     this.camera = camera;
     this.controls = new PointerLockControls(camera, domElement);
+    this.bindings = bindings;
+    this.gamepad = createGamepadInput(bindings);
+    this.touch = touch;
+    this._touchFlying = false;
+    this._gyroYaw = null;            // heading added to the gyro's; null until calibrated
 
     // Movement state
     this.velocity = new THREE.Vector3();
@@ -22,6 +61,8 @@ export class FlightController {
     this.damping = 0.94; // High = more floaty (0.9-0.98)
     this.boostMultiplier = 3.0;
     this.maxSpeed = 6.0;
+    this.lookSpeed = 2.5; // radians per second at full right-stick deflection
+    this.touchLookSpeed = 0.005; // radians per pixel dragged
 
     // Smooth orientation state
     this._orientTarget = null;       // target quaternion to slerp toward
@@ -34,12 +75,12 @@ export class FlightController {
     this._teleportStart = null;      // starting position
     this._teleportProgress = 0;      // 0 to 1
     this._teleportDuration = 0.6;    // seconds for smooth teleport
-    this._heldDigits = new Set();    // digit keys pressed while shift is held
+    this._heldBeacons = new Set();   // beacons pressed while boost is held
 
-    // Beacon positions for 1-6 keys (set via setBeacons)
+    // Beacon positions for the beacon actions (set via setBeacons)
     this.beacons = [];
 
-    // Input state
+    // Input state: held keyboard actions; the gamepad is polled in update
     this.keys = {
       forward: false,
       backward: false,
@@ -49,6 +90,8 @@ export class FlightController {
       down: false,
       boost: false,
     };
+    this._padBoost = false;
+    this._boosting = false;
 
     this._onKeyDown = this._onKeyDown.bind(this);
     this._onKeyUp = this._onKeyUp.bind(this);
@@ -58,11 +101,29 @@ export class FlightController {
   }
 
   get isLocked() {
-    return this.controls.isLocked;
+    return this.touch ? this._touchFlying : this.controls.isLocked;
   }
 
   lock() {
-    this.controls.lock();
+    if (!this.touch) {
+      this.controls.lock();
+      return;
+    }
+    if (this._touchFlying) return;
+    this._touchFlying = true;
+    this.touch.activate();
+    this.controls.dispatchEvent({ type: 'lock' });
+  }
+
+  unlock() {
+    if (!this.touch) {
+      this.controls.unlock();
+      return;
+    }
+    if (!this._touchFlying) return;
+    this._touchFlying = false;
+    this.touch.deactivate();
+    this.controls.dispatchEvent({ type: 'unlock' });
   }
 
   onLock(fn) {
@@ -75,7 +136,7 @@ export class FlightController {
 
   /**
    * Set beacon positions so 1-6 keys can orient toward them.
-   * @param {Array<{word, x, y, z, axis}>} beacons — in order: x+, x-, y+, y-, z+, z-
+   * @param {Array<{word, x, y, z, axis}>} beacons — in order: x-, x+, y+, y-, z+, z-
    */
   setBeacons(beacons) {
     this.beacons = beacons;
@@ -120,71 +181,146 @@ export class FlightController {
     this.orientToward(targetPos);
   }
 
-  _getDigitIndex(code) {
-    if (code === 'Digit1') return 0;
-    if (code === 'Digit2') return 1;
-    if (code === 'Digit3') return 2;
-    if (code === 'Digit4') return 3;
-    if (code === 'Digit5') return 4;
-    if (code === 'Digit6') return 5;
-    return -1;
+  /**
+   * A beacon action: orient toward the beacon, or while boosting,
+   * collect it for a teleport on release.
+   */
+  _pressBeacon(idx) {
+    const beacon = this.beacons[idx];
+    if (!beacon) return;
+    if (this._boosting) {
+      this._heldBeacons.add(idx);
+    } else {
+      this.orientToward(new THREE.Vector3(beacon.x, beacon.y, beacon.z));
+    }
   }
 
-  _onKeyDown(e) {
-    switch (e.code) {
-      case 'KeyW': case 'ArrowUp': this.keys.forward = true; break;
-      case 'KeyS': case 'ArrowDown': this.keys.backward = true; break;
-      case 'KeyA': case 'ArrowLeft': this.keys.left = true; break;
-      case 'KeyD': case 'ArrowRight': this.keys.right = true; break;
-      case 'Space': this.keys.up = true; e.preventDefault(); break;
-      case 'KeyC': this.keys.down = true; break;
-      case 'ShiftLeft': case 'ShiftRight':
-        this.keys.boost = true;
-        this._heldDigits.clear();
-        break;
+  /**
+   * Track boost from the keyboard and gamepad together: starting it
+   * begins collecting beacons, ending it teleports to the centroid of
+   * those collected.
+   */
+  _updateBoost() {
+    const boosting = this.keys.boost || this._padBoost;
+    if (boosting === this._boosting) return;
+    this._boosting = boosting;
+    if (boosting) {
+      this._heldBeacons.clear();
+      return;
     }
-
-    // Digit keys: if Shift is held, collect for teleport; otherwise orient
-    const idx = this._getDigitIndex(e.code);
-    if (idx >= 0 && this.beacons[idx]) {
-      if (this.keys.boost) {
-        this._heldDigits.add(idx);
-      } else {
-        this.orientToward(new THREE.Vector3(this.beacons[idx].x, this.beacons[idx].y, this.beacons[idx].z));
+    if (this._heldBeacons.size > 0) {
+      const target = new THREE.Vector3();
+      for (const i of this._heldBeacons) {
+        target.x += this.beacons[i].x;
+        target.y += this.beacons[i].y;
+        target.z += this.beacons[i].z;
       }
+      target.divideScalar(this._heldBeacons.size);
+      this.teleportTo(target);
+      this._heldBeacons.clear();
     }
   }
 
+  /**
+   * Keys typed into a text field (e.g. the axis editor) aren't flight input.
+   */
+  _isTyping(e) {
+    const tag = e.target && e.target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+  }
+
+  _onKeyDown(e) {
+    if (this._isTyping(e)) return;
+    const action = this.bindings.actionForKey(e.code);
+    if (!action) return;
+    // Space would scroll the page, arrows too
+    e.preventDefault();
+
+    if (action in this.keys) {
+      this.keys[action] = true;
+      if (action === 'boost') this._updateBoost();
+    }
+    const idx = BEACON_ACTIONS.indexOf(action);
+    if (idx >= 0) this._pressBeacon(idx);
+  }
+
   _onKeyUp(e) {
-    switch (e.code) {
-      case 'KeyW': case 'ArrowUp': this.keys.forward = false; break;
-      case 'KeyS': case 'ArrowDown': this.keys.backward = false; break;
-      case 'KeyA': case 'ArrowLeft': this.keys.left = false; break;
-      case 'KeyD': case 'ArrowRight': this.keys.right = false; break;
-      case 'Space': this.keys.up = false; break;
-      case 'KeyC': this.keys.down = false; break;
-      case 'ShiftLeft': case 'ShiftRight':
-        this.keys.boost = false;
-        // On Shift release, teleport to centroid of collected beacons
-        if (this._heldDigits.size > 0) {
-          const target = new THREE.Vector3();
-          for (const i of this._heldDigits) {
-            target.x += this.beacons[i].x;
-            target.y += this.beacons[i].y;
-            target.z += this.beacons[i].z;
-          }
-          target.divideScalar(this._heldDigits.size);
-          this.teleportTo(target);
-          this._heldDigits.clear();
-        }
-        break;
+    const action = this.bindings.actionForKey(e.code);
+    if (!action || !(action in this.keys)) return;
+    this.keys[action] = false;
+    if (action === 'boost') this._updateBoost();
+  }
+
+  /**
+   * Turn the camera by yaw and pitch (radians), as mouse look does.
+   */
+  _look(yaw, pitch) {
+    const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+    euler.y -= yaw;
+    euler.x = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, euler.x - pitch));
+    this.camera.quaternion.setFromEuler(euler);
+  }
+
+  /**
+   * Turn by touch: drags look around, or with the gyro on the device's
+   * orientation is the view and sideways drags shift its heading.
+   */
+  _touchLook({ look, orientation }) {
+    if (!orientation) {
+      this._gyroYaw = null;
+      if (look.x || look.y) {
+        // Drags move the view with the finger, like dragging a photo
+        this._orientTarget = null;
+        this._look(-look.x * this.touchLookSpeed, -look.y * this.touchLookSpeed);
+      }
+      return;
     }
+    // A beacon turn runs its course, then the gyro takes over from there
+    if (this._orientTarget) {
+      this._gyroYaw = null;
+      return;
+    }
+    if (this._gyroYaw === null) this._gyroYaw = yawOf(this.camera.quaternion) - yawOf(orientation);
+    this._gyroYaw += look.x * this.touchLookSpeed;
+    this.camera.quaternion.setFromAxisAngle(worldUp, this._gyroYaw).multiply(orientation);
   }
 
   update(delta) {
-    if (!this.controls.isLocked) return;
+    if (!this.isLocked) return;
+
+    // Gamepad: buttons through the bindings, sticks to move and look
+    const pad = this.gamepad.poll();
+    const push = { forward: 0, right: 0, up: 0 };
+    this._padBoost = pad ? pad.held.has('boost') : false;
+    this._updateBoost();
+    if (pad) {
+      for (const [action, [axis, sign]] of Object.entries(MOVE_ACTIONS)) {
+        push[axis] += sign * (pad.values[action] || 0);
+      }
+      push.forward -= pad.move.y;
+      push.right += pad.move.x;
+      BEACON_ACTIONS.forEach((action, idx) => {
+        if (pad.pressed.has(action)) this._pressBeacon(idx);
+      });
+      if (pad.look.x || pad.look.y) {
+        // Squared response: fine aim near the centre, fast turns at the edge
+        const turn = v => v * Math.abs(v) * this.lookSpeed * delta;
+        this._orientTarget = null;
+        this._look(turn(pad.look.x), turn(pad.look.y));
+      }
+    }
+    for (const [action, [axis, sign]] of Object.entries(MOVE_ACTIONS)) {
+      if (this.keys[action]) push[axis] += sign;
+    }
+    if (this.touch) {
+      const touch = this.touch.poll();
+      push.forward -= touch.move.y;
+      push.right += touch.move.x;
+      push.up += (touch.up ? 1 : 0) - (touch.down ? 1 : 0);
+      this._touchLook(touch);
+    }
 
-    // Handle smooth orientation (1-6 keys)
+    // Handle smooth orientation (beacon actions)
     if (this._orientTarget) {
       this._orientProgress += delta / this._orientDuration;
 
@@ -201,7 +337,7 @@ export class FlightController {
       }
     }
 
-    // Handle smooth teleport (Shift + digit keys)
+    // Handle smooth teleport (boost + beacon actions)
     if (this._teleportTarget) {
       this._teleportProgress += delta / this._teleportDuration;
 
@@ -215,7 +351,7 @@ export class FlightController {
       }
     }
 
-    const accel = this.acceleration * (this.keys.boost ? this.boostMultiplier : 1);
+    const accel = this.acceleration * (this._boosting ? this.boostMultiplier : 1);
 
     // Get camera's forward and right vectors
     const forward = new THREE.Vector3();
@@ -226,17 +362,16 @@ export class FlightController {
 
     const up = new THREE.Vector3(0, 1, 0);
 
-    // Apply forces based on input
-    if (this.keys.forward) this.velocity.addScaledVector(forward, accel * delta);
-    if (this.keys.backward) this.velocity.addScaledVector(forward, -accel * delta);
-    if (this.keys.left) this.velocity.addScaledVector(right, -accel * delta);
-    if (this.keys.right) this.velocity.addScaledVector(right, accel * delta);
-    if (this.keys.up) this.velocity.addScaledVector(up, accel * delta);
-    if (this.keys.down) this.velocity.addScaledVector(up, -accel * delta);
+    // Apply forces based on input — keys push fully, sticks and
+    // triggers in proportion, together never harder than one key
+    const clamp = v => Math.max(-1, Math.min(1, v));
+    this.velocity.addScaledVector(forward, clamp(push.forward) * accel * delta);
+    this.velocity.addScaledVector(right, clamp(push.right) * accel * delta);
+    this.velocity.addScaledVector(up, clamp(push.up) * accel * delta);
 
     // Clamp speed
     const speed = this.velocity.length();
-    if (speed > this.maxSpeed * (this.keys.boost ? this.boostMultiplier : 1)) {
+    if (speed > this.maxSpeed * (this._boosting ? this.boostMultiplier : 1)) {
       this.velocity.multiplyScalar(this.maxSpeed / speed);
     }
 
@@ -265,6 +400,7 @@ export class FlightController {
   dispose() {
     document.removeEventListener('keydown', this._onKeyDown);
     document.removeEventListener('keyup', this._onKeyUp);
+    if (this.touch) this.touch.dispose();
     this.controls.dispose();
   }
 }
@@ -0,0 +1,286 @@
+/**
+ * Flight input mapping — which keys and gamepad buttons drive which
+ * flight action, and reading the gamepad.
+ *
+ * Bindings are per action: up to KEY_SLOTS keyboard keys (KeyboardEvent
+ * codes) and up to BUTTON_SLOTS gamepad buttons (standard-mapping
+ * indices). A key or button drives one action at most, so binding it
+ * takes it off whatever it drove before. Changes persist in
+ * localStorage; where that is unavailable they last for the page.
+ *
+ * The gamepad's sticks aren't rebindable: the left stick moves, the
+ * right stick looks.
+ */
+
+const STORAGE_KEY = 'strange-names-controls';
+
+export const KEY_SLOTS = 2;
+export const BUTTON_SLOTS = 1;
+
+// Stick deflection ignored as drift, as a fraction of full travel
+const STICK_DEAD_ZONE = 0.15;
+// A button (or trigger) counts as pressed beyond this
+const BUTTON_THRESHOLD = 0.5;
+
+/**
+ * Flight actions, in the order the controls panel lists them. Movement
+ * and boost are held; the beacon actions fire on press (hold boost to
+ * collect beacons for a teleport instead). Beacons go left, right, up,
+ * down, forward, backward, as getBeaconPositions orders them.
+ */
+export const FLIGHT_ACTIONS = [
+  { id: 'forward', label: 'Forward', keys: ['KeyW', 'ArrowUp'], buttons: [] },
+  { id: 'backward', label: 'Backward', keys: ['KeyS', 'ArrowDown'], buttons: [] },
+  { id: 'left', label: 'Left', keys: ['KeyA', 'ArrowLeft'], buttons: [] },
+  { id: 'right', label: 'Right', keys: ['KeyD', 'ArrowRight'], buttons: [] },
+  { id: 'up', label: 'Up', keys: ['Space'], buttons: [7] },
+  { id: 'down', label: 'Down', keys: ['KeyC'], buttons: [6] },
+  { id: 'boost', label: 'Boost', keys: ['ShiftLeft', 'ShiftRight'], buttons: [4] },
+  { id: 'beacon1', label: 'Beacon x−', keys: ['Digit1'], buttons: [14] },
+  { id: 'beacon2', label: 'Beacon x+', keys: ['Digit2'], buttons: [15] },
+  { id: 'beacon3', label: 'Beacon y+', keys: ['Digit3'], buttons: [12] },
+  { id: 'beacon4', label: 'Beacon y−', keys: ['Digit4'], buttons: [13] },
+  { id: 'beacon5', label: 'Beacon z+', keys: ['Digit5'], buttons: [3] },
+  { id: 'beacon6', label: 'Beacon z−', keys: ['Digit6'], buttons: [0] },
+];
+
+// Standard-mapping button names (https://w3c.github.io/gamepad/#remapping)
+const BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home',
+];
+
+const KEY_NAMES = {
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  ShiftLeft: 'Shift', ShiftRight: 'Right Shift',
+  ControlLeft: 'Ctrl', ControlRight: 'Right Ctrl',
+  AltLeft: 'Alt', AltRight: 'Right Alt',
+};
+
+/**
+ * Short name for a KeyboardEvent code ('KeyW' → 'W', 'Digit1' → '1').
+ */
+export function keyName(code) {
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  return code.replace(/^(Key|Digit|Numpad)/, '');
+}
+
+/**
+ * Name for a standard-mapping gamepad button index.
+ */
+export function buttonName(index) {
+  return BUTTON_NAMES[index] || `Button ${index}`;
+}
+
+/**
+ * Fresh copy of the default bindings.
+ *
+ * @returns {Object<string, {keys: string[], buttons: number[]}>} by action id
+ */
+function defaultBindings() {
+  return Object.fromEntries(FLIGHT_ACTIONS.map(({ id, keys, buttons }) => [id, { keys: [...keys], buttons: [...buttons] }]));
+}
+
+/**
+ * Stored bindings laid over the defaults. Unknown actions and malformed
+ * entries are dropped, so an old or hand-edited store can't break input.
+ */
+function loadBindings() {
+  const bindings = defaultBindings();
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (err) {
+    console.warn('Could not read saved controls:', err);
+    return bindings;
+  }
+  if (!stored || typeof stored !== 'object') return bindings;
+  for (const [id, { keys, buttons } = {}] of Object.entries(stored)) {
+    if (!bindings[id]) continue;
+    if (Array.isArray(keys)) bindings[id].keys = keys.filter(k => typeof k === 'string').slice(0, KEY_SLOTS);
+    if (Array.isArray(buttons)) bindings[id].buttons = buttons.filter(Number.isInteger).slice(0, BUTTON_SLOTS);
+  }
+  return bindings;
+}
+
+function saveBindings(bindings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (err) {
+    console.warn('Could not save controls:', err);
+  }
+}
+
+/**
+ * The flight bindings, loaded from localStorage.
+ *
+ * Subscribers are called with no arguments whenever a binding changes.
+ *
+ * @returns {object} bindings with get, actionForKey, actionForButton, bindKey, bindButton, reset, subscribe
+ */
+export function createInputBindings() {
+  let bindings = loadBindings();
+  const listeners = new Set();
+
+  function changed() {
+    saveBindings(bindings);
+    for (const fn of listeners) fn();
+  }
+
+  /**
+   * Bind a key or button to an action's slot, taking it off any other
+   * slot first. null clears the slot.
+   */
+  function bindSlot(field, id, slot, value) {
+    if (!bindings[id]) throw new Error(`Unknown flight action "${id}".`);
+    if (value !== null) {
+      for (const binding of Object.values(bindings)) {
+        binding[field] = binding[field].filter(v => v !== value);
+      }
+    }
+    const values = bindings[id][field];
+    if (slot < values.length) values.splice(slot, 1);
+    if (value !== null) values.splice(Math.min(slot, values.length), 0, value);
+    changed();
+  }
+
+  return {
+    /**
+     * @param {string} id - action id
+     * @returns {{keys: string[], buttons: number[]}}
+     */
+    get(id) {
+      return bindings[id];
+    },
+
+    /**
+     * The action a key drives, or null.
+     */
+    actionForKey(code) {
+      for (const [id, { keys }] of Object.entries(bindings)) {
+        if (keys.includes(code)) return id;
+      }
+      return null;
+    },
+
+    /**
+     * The action a gamepad button drives, or null.
+     */
+    actionForButton(index) {
+      for (const [id, { buttons }] of Object.entries(bindings)) {
+        if (buttons.includes(index)) return id;
+      }
+      return null;
+    },
+
+    /**
+     * @param {string} id - action id
+     * @param {number} slot - 0 to KEY_SLOTS - 1
+     * @param {string|null} code - KeyboardEvent code, or null to clear
+     */
+    bindKey(id, slot, code) {
+      bindSlot('keys', id, slot, code);
+    },
+
+    /**
+     * @param {string} id - action id
+     * @param {number} slot - 0 to BUTTON_SLOTS - 1
+     * @param {number|null} index - standard-mapping button index, or null to clear
+     */
+    bindButton(id, slot, index) {
+      bindSlot('buttons', id, slot, index);
+    },
+
+    /**
+     * Back to the default bindings.
+     */
+    reset() {
+      bindings = defaultBindings();
+      changed();
+    },
+
+    /**
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+/**
+ * The first connected gamepad, or null.
+ */
+export function connectedGamepad() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+  for (const pad of navigator.getGamepads()) {
+    if (pad && pad.connected) return pad;
+  }
+  return null;
+}
+
+/**
+ * A stick's deflection with the dead zone cut out and the rest
+ * rescaled, so it still reaches 1 at full travel.
+ */
+function stick(pad, xAxis, yAxis) {
+  const x = pad.axes[xAxis] || 0;
+  const y = pad.axes[yAxis] || 0;
+  const length = Math.hypot(x, y);
+  if (length < STICK_DEAD_ZONE) return { x: 0, y: 0 };
+  const scale = Math.min(1, (length - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE)) / length;
+  return { x: x * scale, y: y * scale };
+}
+
+/**
+ * The index of a gamepad button held down right now, or -1 — for
+ * capturing a button to bind.
+ */
+export function pressedGamepadButton() {
+  const pad = connectedGamepad();
+  if (!pad) return -1;
+  return pad.buttons.findIndex(b => b.value > BUTTON_THRESHOLD);
+}
+
+/**
+ * Read the first connected gamepad through the bindings, once a frame.
+ *
+ * poll() returns null with no gamepad, else
+ * { move: {x, y}, look: {x, y}, values, held, pressed }: the sticks
+ * (y down is positive, as the Gamepad API reports it), each action's
+ * strength from 0 to 1 — analog for triggers — the actions whose button
+ * is down, and those whose button went down since the last poll.
+ *
+ * @param {ReturnType<typeof createInputBindings>} bindings
+ * @returns {{ poll: () => object|null }}
+ */
+export function createGamepadInput(bindings) {
+  let wasDown = [];
+
+  return {
+    poll() {
+      const pad = connectedGamepad();
+      if (!pad) {
+        wasDown = [];
+        return null;
+      }
+
+      const values = {};
+      const held = new Set();
+      const pressed = new Set();
+      pad.buttons.forEach((button, i) => {
+        const down = button.value > BUTTON_THRESHOLD;
+        const action = bindings.actionForButton(i);
+        if (action) {
+          values[action] = Math.max(values[action] || 0, button.value);
+          if (down) held.add(action);
+          if (down && !wasDown[i]) pressed.add(action);
+        }
+        wasDown[i] = down;
+      });
+
+      return { move: stick(pad, 0, 1), look: stick(pad, 2, 3), values, held, pressed };
+    },
+  };
+}
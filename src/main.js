@@ -1,12 +1,33 @@
 import './style.css';
 import * as THREE from 'three';
 import { FlightController } from './flight.js';
-import { projectWords, getBeaconPositions, selectWordsForAxes } from './projection.js';
-import { buildWordCloud, updateWordVisibility, findNearbyWords } from './wordcloud.js';
+import { getBeaconPositions, MAX_AXES } from './projection.js';
+import {
+  buildWordCloud, buildBeacons, disposeBeacons, updateWordVisibility, findNearbyWords,
+  morphWordCloud, updateWordTransition, recolorWords, buildClusterLabels, disposeClusterLabels,
+  insertWords, buildAnalogyArrows, disposeAnalogyArrows, DEFAULT_WORD_BUDGET, MIN_WORD_BUDGET, MAX_WORD_BUDGET,
+} from './wordcloud.js';
 import { BeaconIndicators } from './indicators.js';
 import { createMinimap } from './minimap.js';
 import { createAxisGauges } from './axisgauge.js';
-import { loadVocabulary, loadModel, embedWords } from './embeddings.js';
+import { createEngine } from './engine.js';
+import { parsePole } from './poles.js';
+import { createSeedInput } from './seedchips.js';
+import { clearAssetCache, estimateCacheBytes } from './assetcache.js';
+import { PROJECTORS, DEFAULT_PROJECTOR, getProjector } from './projectors.js';
+import { SELECTION_STRATEGIES, DEFAULT_STRATEGY, getStrategy } from './strategies.js';
+import { encodeSession, decodeSession } from './session.js';
+import { listSlices, sliceAxes, applySlice } from './slices.js';
+import { MIN_CLUSTERS, MAX_CLUSTERS, DEFAULT_CLUSTER_COUNT } from './clustering.js';
+import { createWordSelection } from './selection.js';
+import { createWordPicker } from './picking.js';
+import { COLOR_MODES, DEFAULT_COLOR_MODE, createColoring } from './colormodes.js';
+import { EDGE_COLORS, buildNeighbourEdges, disposeNeighbourEdges } from './edges.js';
+import {
+  FLIGHT_ACTIONS, KEY_SLOTS, BUTTON_SLOTS, createInputBindings, keyName, buttonName,
+  connectedGamepad, pressedGamepadButton,
+} from './input.js';
+import { isTouchOnly, createTouchControls } from './touch.js';
 
 // --- DOM refs ---
 const setupEl = document.getElementById('setup');
@@ -20,12 +41,58 @@ const modelBar = document.getElementById('model-progress-fill');
 const vocabStatus = document.getElementById('vocab-status');
 const modelStatus = document.getElementById('model-status');
 const loadingProgress = document.getElementById('loading-progress');
+const clearCacheBtn = document.getElementById('clear-cache');
+const loadingText = document.getElementById('loading-text');
+const launchBar = document.getElementById('launch-progress-fill');
+const cancelLaunchBtn = document.getElementById('cancel-launch');
+const axisOverlapEl = document.getElementById('axis-overlap');
+const projectorSelect = document.getElementById('projector');
+const trimOutliersBox = document.getElementById('trim-outliers');
+const orthogonalizeBox = document.getElementById('orthogonalize');
+const strategySelect = document.getElementById('strategy');
+const wordCountSlider = document.getElementById('word-count');
+const wordCountValue = document.getElementById('word-count-value');
+const includeInput = document.getElementById('include-words');
+const excludeInput = document.getElementById('exclude-words');
+const showClustersBox = document.getElementById('show-clusters');
+const hudClustersEl = document.getElementById('hud-clusters');
+const wordPanelEl = document.getElementById('word-panel');
+const hudBookmarksEl = document.getElementById('hud-bookmarks');
+const hudEdgesEl = document.getElementById('hud-edges');
+const viewControlsEl = document.getElementById('view-controls');
+const colorModeSelect = document.getElementById('color-mode');
+const colorLegendEl = document.getElementById('color-legend');
+const wordBudgetSlider = document.getElementById('word-budget');
+const wordBudgetValue = document.getElementById('word-budget-value');
 
 // --- State ---
-let vocabData = null;   // { words, vectors, dims }
+const SCALE = 80;
+const engine = createEngine();
+let vocabInfo = null;   // { count, dims, manifest } — the vectors live in the worker
 let modelReady = false;
 let scene, camera, renderer, flight;
-let wordGroup = null;
+let wordCloud = null;
+let beaconGroup = null;
+let clusterLabelGroup = null;
+let wordTransition = null;  // words gliding to a new slice
+let session = null;         // { axes, options, bookmarks, guests, colorMode, query } of the launched universe
+let sliceState = null;      // { axisLabels, projected, diagnostics, clusters, clusterCount, slices, index, beacons }
+let clusterCount = DEFAULT_CLUSTER_COUNT; // k, remembered while clusters are hidden
+let reclustering = false;   // a re-clustering is running
+let wordBudget = DEFAULT_WORD_BUDGET; // most words on screen at once
+let showEdges = false;      // neighbour edges are on
+let edgeLines = null;
+let edgeOrigin = null;      // where the camera was when nearby edges were drawn
+let edgeRequest = 0;        // the latest edge refresh
+let trust = null;           // trustworthiness of the current slice, once measured
+let trustPromise = null;    // ... while it is being measured, so it is measured once
+let edgesPending = false;   // an edge refresh is waiting on the worker
+let analogy = null;         // { words: [a, b, c], nearest, points } of the analogy shown
+let analogyArrows = null;
+let inspectedWord = null;   // the word shown in the explanation panel
+let picker = null;
+const selection = createWordSelection();
+const inputBindings = createInputBindings(); // flight keys and gamepad buttons
 let beaconIndicators = null;
 let minimap = null;
 let gauges = null;
@@ -41,12 +108,29 @@ function updateProgress(bar, statusEl, pct, label) {
 async function initResources() {
   loadingProgress.classList.remove('hidden');
 
-  const vocabPromise = loadVocabulary((pct) => {
-    updateProgress(vocabBar, vocabStatus, pct, 'Loading vocabulary...');
-  }).then((data) => {
-    vocabData = data;
+  // The manifest says which model produced embeddings.bin, so the model
+  // download can start in parallel with the vocabulary.
+  let manifest;
+  try {
+    manifest = await engine.loadManifest();
+  } catch (err) {
+    console.error('Manifest load failed:', err);
+    vocabStatus.textContent = 'Vocabulary manifest is invalid';
+    vocabBar.parentElement.classList.add('progress-error');
+    errorEl.textContent = err.message;
+    return;
+  }
+
+  const vocabLoad = engine.loadVocabulary(manifest, ({ pct, loaded, total, cached }) => {
+    const label = cached ? 'Loading vocabulary from cache...' : 'Loading vocabulary...';
+    updateProgress(vocabBar, vocabStatus, pct, `${label} ${formatMB(loaded)} / ${formatMB(total)}`);
+  });
+
+  const vocabPromise = vocabLoad.then((info) => {
+    vocabInfo = info;
     updateProgress(vocabBar, vocabStatus, 1, 'Vocabulary loaded');
-    vocabStatus.textContent = `Vocabulary loaded (${data.words.length.toLocaleString()} words, ${data.dims}d)`;
+    vocabStatus.textContent = `Vocabulary loaded (${info.count.toLocaleString()} words, ${info.dims}d)`;
+    refreshCacheLabel();
     checkReady();
   }).catch((err) => {
     console.error('Vocabulary load failed:', err);
@@ -55,12 +139,26 @@ async function initResources() {
     errorEl.textContent = err.message;
   });
 
-  const modelPromise = loadModel((pct) => {
-    updateProgress(modelBar, modelStatus, pct, 'Loading AI model...');
-  }).then(() => {
+  // ?provider=live|local|vocab picks which embedding backend to try first
+  const preferred = new URLSearchParams(window.location.search).get('provider') || undefined;
+  let modelLabel = 'Loading AI model...';
+
+  // Legacy assets have no manifest — the model has to wait until the
+  // vocabulary's dimensionality tells us which one to load.
+  const manifestReady = manifest ? Promise.resolve(manifest) : vocabLoad.then(info => info.manifest);
+
+  const modelPromise = manifestReady.then(resolved => engine.loadModel({
+    manifest: resolved,
+    preferred,
+  }, ({ pct, attempt }) => {
+    if (attempt) modelLabel = `Loading ${attempt}...`;
+    updateProgress(modelBar, modelStatus, pct, modelLabel);
+  })).then((provider) => {
     modelReady = true;
     updateProgress(modelBar, modelStatus, 1, 'AI model loaded');
-    modelStatus.textContent = 'AI model ready';
+    const note = provider.fallback ? ' (fallback)' : '';
+    modelStatus.textContent = `Embedding with ${provider.label} · ${provider.model}${note}`;
+    refreshCacheLabel();
     checkReady();
   }).catch((err) => {
     console.error('Model load failed:', err);
@@ -73,8 +171,12 @@ async function initResources() {
   await Promise.allSettled([vocabPromise, modelPromise]);
 }
 
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 function checkReady() {
-  if (vocabData && modelReady) {
+  if (vocabInfo && modelReady) {
     launchBtn.disabled = false;
     launchBtn.classList.add('ready');
   }
@@ -84,92 +186,370 @@ function checkReady() {
 launchBtn.disabled = true;
 initResources();
 
+// --- Clear cache ---
+// Re-queried whenever the cache changes: after each download finishes
+// and after clearing
+async function refreshCacheLabel(note = '') {
+  let bytes = null;
+  try {
+    bytes = await estimateCacheBytes();
+  } catch (err) {
+    console.warn('Could not estimate cache size:', err);
+  }
+  const label = bytes ? `Clear cache (${formatMB(bytes)})` : 'Clear cache';
+  clearCacheBtn.textContent = note ? `${label} · ${note}` : label;
+}
+
+clearCacheBtn.addEventListener('click', async () => {
+  clearCacheBtn.disabled = true;
+  try {
+    await clearAssetCache();
+    await refreshCacheLabel('cleared — assets will download again next visit');
+  } catch (err) {
+    console.error('Clearing cache failed:', err);
+    errorEl.textContent = `Could not clear cache: ${err.message}`;
+  } finally {
+    clearCacheBtn.disabled = false;
+  }
+});
+
+refreshCacheLabel();
+
 // --- Setup handler ---
+// Seed chip inputs for each axis pair. The first three rows are in the
+// page (note up/down and forward/backward list the positive pole first);
+// rows for axes 4-8 are added on demand.
+const axesEl = document.getElementById('axes');
+const addAxisBtn = document.getElementById('add-axis');
+const axisInputs = [
+  { neg: createSeedInput(document.getElementById('left')), pos: createSeedInput(document.getElementById('right')) },
+  { pos: createSeedInput(document.getElementById('up')), neg: createSeedInput(document.getElementById('down')) },
+  { pos: createSeedInput(document.getElementById('forward')), neg: createSeedInput(document.getElementById('backward')) },
+];
+
+function updateAxisRows() {
+  axisInputs.forEach((input, a) => {
+    if (input.label) input.label.textContent = `Axis ${a + 1}`;
+  });
+  addAxisBtn.classList.toggle('hidden', axisInputs.length >= MAX_AXES);
+}
+
+/**
+ * Add a setup row for one more axis pair (negative pole first).
+ */
+function addAxisRow(negSeeds = [], posSeeds = []) {
+  const row = document.createElement('div');
+  row.className = 'axis-pair axis-pair-extra';
+
+  const heading = document.createElement('label');
+  const label = document.createElement('span');
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'link-button';
+  remove.textContent = 'remove';
+  heading.append(label, remove);
+
+  const pairInputs = document.createElement('div');
+  pairInputs.className = 'pair-inputs';
+  const negInput = document.createElement('input');
+  negInput.type = 'text';
+  negInput.placeholder = '− pole';
+  const divider = document.createElement('span');
+  divider.className = 'axis-divider';
+  divider.textContent = '↔';
+  const posInput = document.createElement('input');
+  posInput.type = 'text';
+  posInput.placeholder = '+ pole';
+  pairInputs.append(negInput, divider, posInput);
+
+  row.append(heading, pairInputs);
+  axesEl.appendChild(row);
+
+  const input = { neg: createSeedInput(negInput), pos: createSeedInput(posInput), label };
+  input.neg.setSeeds(negSeeds);
+  input.pos.setSeeds(posSeeds);
+  axisInputs.push(input);
+
+  remove.addEventListener('click', () => {
+    row.remove();
+    axisInputs.splice(axisInputs.indexOf(input), 1);
+    updateAxisRows();
+  });
+
+  updateAxisRows();
+  return input;
+}
+
+addAxisBtn.addEventListener('click', () => {
+  if (axisInputs.length < MAX_AXES) addAxisRow();
+});
+
+// Projection formulas, described on hover
+for (const projector of PROJECTORS) {
+  const option = document.createElement('option');
+  option.value = projector.id;
+  option.textContent = projector.label;
+  option.title = projector.description;
+  projectorSelect.appendChild(option);
+}
+projectorSelect.value = DEFAULT_PROJECTOR;
+projectorSelect.title = getProjector(DEFAULT_PROJECTOR).description;
+projectorSelect.addEventListener('change', () => {
+  projectorSelect.title = getProjector(projectorSelect.value).description;
+});
+
+// Word selection strategies and the word budget
+for (const strategy of SELECTION_STRATEGIES) {
+  const option = document.createElement('option');
+  option.value = strategy.id;
+  option.textContent = strategy.label;
+  option.title = strategy.description;
+  strategySelect.appendChild(option);
+}
+function setStrategy(id) {
+  strategySelect.value = id;
+  strategySelect.title = getStrategy(id).description;
+}
+setStrategy(DEFAULT_STRATEGY);
+strategySelect.addEventListener('change', () => setStrategy(strategySelect.value));
+
+function showWordCount() {
+  wordCountValue.textContent = Number(wordCountSlider.value).toLocaleString();
+}
+showWordCount();
+wordCountSlider.addEventListener('input', showWordCount);
+
+function splitWordList(text) {
+  return text.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// A shared link restores every axis, the launch options and the slice
+const sharedSession = decodeSession(window.location.hash);
+if (sharedSession) {
+  sharedSession.axes.forEach(({ pos, neg }, a) => {
+    if (a < axisInputs.length) {
+      axisInputs[a].pos.setSeeds(pos);
+      axisInputs[a].neg.setSeeds(neg);
+    } else {
+      addAxisRow(neg, pos);
+    }
+  });
+  const { projector, orthogonalize, trimOutliers } = sharedSession.options;
+  if (PROJECTORS.some(p => p.id === projector)) {
+    projectorSelect.value = projector;
+    projectorSelect.title = getProjector(projector).description;
+  } else {
+    console.warn(`Shared link names unknown projector "${projector}" — using ${DEFAULT_PROJECTOR}`);
+  }
+  orthogonalizeBox.checked = orthogonalize;
+  trimOutliersBox.checked = trimOutliers;
+
+  const { strategy, count, include, exclude } = sharedSession.options.selection;
+  if (SELECTION_STRATEGIES.some(st => st.id === strategy)) setStrategy(strategy);
+  wordCountSlider.value = count;
+  showWordCount();
+  includeInput.value = include.join(', ');
+  excludeInput.value = exclude.join(', ');
+
+  const { clusters } = sharedSession.options;
+  showClustersBox.checked = clusters > 0;
+  if (clusters) clusterCount = clusters;
+}
+
+const LAUNCH_STAGES = {
+  embed: 'Embedding your axis poles...',
+  select: 'Selecting words for your axes...',
+  project: 'Building your word space...',
+};
+
+// Correlations above this are called out — the cloud will look flat
+const CORRELATION_WARNING = 0.5;
+
+function formatCorrelation(r) {
+  return `${r >= 0 ? '+' : '−'}${Math.abs(r).toFixed(2)}`;
+}
+
+/**
+ * Render the correlations between the three axes of a slice (from an
+ * N × N matrix) into an element, highlighting strongly correlated pairs.
+ */
+function renderCorrelations(el, prefix, matrix, slice) {
+  el.replaceChildren(`${prefix} `);
+  [['XY', 0, 1], ['XZ', 0, 2], ['YZ', 1, 2]].forEach(([name, i, j], n) => {
+    const r = matrix[slice[i]][slice[j]];
+    const span = document.createElement('span');
+    span.textContent = `${name} ${formatCorrelation(r)}`;
+    if (Math.abs(r) > CORRELATION_WARNING) span.className = 'correlated';
+    if (n > 0) el.append(' · ');
+    el.append(span);
+  });
+}
+
+/**
+ * Render how much the axes overlap in embedding space: every strongly
+ * correlated pair by name, or just the largest overlap if none are.
+ */
+function renderAxisOverlap(el, cosines, axisLabels, orthogonalize) {
+  const name = (a) => `${axisLabels[a].neg}/${axisLabels[a].pos}`;
+  const flagged = [];
+  let max = 0;
+  for (let a = 0; a < cosines.length; a++) {
+    for (let b = a + 1; b < cosines.length; b++) {
+      const r = cosines[a][b];
+      max = Math.max(max, Math.abs(r));
+      if (Math.abs(r) > CORRELATION_WARNING) flagged.push([a, b, r]);
+    }
+  }
+
+  if (flagged.length === 0) {
+    el.textContent = `Axis overlap: at most ${max.toFixed(2)}`;
+    return;
+  }
+  el.replaceChildren('Axis overlap: ');
+  flagged.forEach(([a, b, r], n) => {
+    const span = document.createElement('span');
+    span.className = 'correlated';
+    span.textContent = `${name(a)} × ${name(b)} ${formatCorrelation(r)}`;
+    if (n > 0) el.append(' · ');
+    el.append(span);
+  });
+  el.append(orthogonalize ? ' — orthogonalizing' : ' — correlated axes will flatten the cloud');
+}
+
+/**
+ * Colour mode for a launch: the shared link's, except that turning
+ * clusters on in setup colours by cluster, and with them off words
+ * can't be.
+ */
+function launchColorMode(options) {
+  const shared = sharedSession ? sharedSession.colorMode : null;
+  if (options.clusters && !(sharedSession && sharedSession.options.clusters)) return 'cluster';
+  if (!options.clusters && shared === 'cluster') return DEFAULT_COLOR_MODE;
+  return shared || (options.clusters ? 'cluster' : DEFAULT_COLOR_MODE);
+}
+
 launchBtn.addEventListener('click', async () => {
-  if (!vocabData || !modelReady) {
+  if (!vocabInfo || !modelReady) {
     errorEl.textContent = 'Still loading — please wait...';
     return;
   }
 
-  const axes = {
-    xNeg: document.getElementById('left').value.trim().toLowerCase(),
-    xPos: document.getElementById('right').value.trim().toLowerCase(),
-    yPos: document.getElementById('up').value.trim().toLowerCase(),
-    yNeg: document.getElementById('down').value.trim().toLowerCase(),
-    zPos: document.getElementById('forward').value.trim().toLowerCase(),
-    zNeg: document.getElementById('backward').value.trim().toLowerCase(),
-  };
-
-  // Validate all words are filled in
-  for (const [key, word] of Object.entries(axes)) {
-    if (!word) {
-      errorEl.textContent = 'Please fill in all 6 words.';
+  // Each pole is a set of seeds; each seed is a word, phrase, or
+  // expression like "king - man + woman"
+  const axes = [];
+  const axisLabels = [];
+  for (const [a, input] of axisInputs.entries()) {
+    const axis = { pos: input.pos.getSeeds(), neg: input.neg.getSeeds() };
+    if (axis.pos.length === 0 || axis.neg.length === 0) {
+      errorEl.textContent = `Please fill in both ends of axis ${a + 1}.`;
+      return;
+    }
+    // Validate every seed parses; the primary seed names beacons and the HUD
+    try {
+      axisLabels.push({ pos: parsePole(axis.pos).label, neg: parsePole(axis.neg).label });
+    } catch (err) {
+      errorEl.textContent = err.message;
       return;
     }
+    axes.push(axis);
   }
 
   errorEl.textContent = '';
   setupEl.classList.add('hidden');
   loadingEl.classList.remove('hidden');
-  loadingEl.querySelector('p').textContent = 'Embedding your axis words...';
-
-  // Give the UI a frame to render the loading screen
-  await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+  loadingText.textContent = LAUNCH_STAGES.embed;
+  launchBar.style.width = '0%';
+  axisOverlapEl.replaceChildren();
+  for (const input of axisInputs) {
+    input.pos.markTrimmed([]);
+    input.neg.markTrimmed([]);
+  }
 
   try {
-    // Embed the 6 axis words using the live model
-    const axisWordList = [axes.xPos, axes.xNeg, axes.yPos, axes.yNeg, axes.zPos, axes.zNeg];
-    const axisEmbeddings = await embedWords(axisWordList);
-
-    const axisVectors = {
-      xPos: axisEmbeddings[0],
-      xNeg: axisEmbeddings[1],
-      yPos: axisEmbeddings[2],
-      yNeg: axisEmbeddings[3],
-      zPos: axisEmbeddings[4],
-      zNeg: axisEmbeddings[5],
+    const options = {
+      scale: SCALE,
+      projector: projectorSelect.value,
+      trimOutliers: trimOutliersBox.checked,
+      orthogonalize: orthogonalizeBox.checked,
+      selection: {
+        strategy: strategySelect.value,
+        count: Number(wordCountSlider.value),
+        include: splitWordList(includeInput.value),
+        exclude: splitWordList(excludeInput.value),
+      },
+      clusters: showClustersBox.checked ? clusterCount : 0,
     };
 
-    loadingEl.querySelector('p').textContent = 'Selecting words for your axes...';
-    await new Promise(r => requestAnimationFrame(r));
-
-    // Select the top 12k words most relevant to these axes
-    const axisWords = new Set(Object.values(axes));
-    const t0 = performance.now();
-    const { indices: selectedIndices } = selectWordsForAxes(vocabData, axisVectors, axisWords);
-    console.log(`selectWordsForAxes: ${(performance.now() - t0).toFixed(1)}ms, selected ${selectedIndices.length} words`);
-
-    loadingEl.querySelector('p').textContent = 'Building your word space...';
-    await new Promise(r => requestAnimationFrame(r));
+    // Record the session in the URL so the universe can be shared
+    session = {
+      axes,
+      options,
+      bookmarks: sharedSession ? sharedSession.bookmarks : [],
+      guests: sharedSession ? sharedSession.guests : [],
+      colorMode: launchColorMode(options),
+      query: sharedSession ? sharedSession.query : null,
+    };
+    history.replaceState(null, '', `#${encodeSession(session)}`);
 
-    // Project selected words into 3D
-    startScene(axes, axisVectors, selectedIndices);
+    const { projected, clusters, diagnostics } = await engine.launch(axes, options, ({ stage, pct, axisCosines }) => {
+      loadingText.textContent = LAUNCH_STAGES[stage];
+      launchBar.style.width = `${Math.round(pct * 100)}%`;
+      if (axisCosines) renderAxisOverlap(axisOverlapEl, axisCosines, axisLabels, options.orthogonalize);
+    });
+    console.log('Axis direction cosines:', diagnostics.axisCosines, 'cloud correlations:', diagnostics.cloudCorrelations);
+    axisInputs.forEach((input, a) => {
+      input.pos.markTrimmed(diagnostics.trimmed[a].pos);
+      input.neg.markTrimmed(diagnostics.trimmed[a].neg);
+    });
+    projected.push(...await placeGuests(session.guests, projected));
+    startScene(axisLabels, projected, diagnostics, clusters, sharedSession && sharedSession.slice);
   } catch (err) {
-    console.error('Launch failed:', err);
     loadingEl.classList.add('hidden');
     setupEl.classList.remove('hidden');
+    if (err.name === 'CancelError') return;
+    console.error('Launch failed:', err);
     errorEl.textContent = `Error: ${err.message}`;
   }
 });
 
-// --- Three.js scene ---
-function startScene(axes, axisVectors, selectedIndices) {
-  const SCALE = 80;
-
-  // Project selected words into 3D
-  const projected = projectWords(vocabData, axisVectors, selectedIndices, SCALE);
-  const beacons = getBeaconPositions(axes, projected);
+cancelLaunchBtn.addEventListener('click', () => {
+  loadingText.textContent = 'Cancelling...';
+  engine.cancel();
+});
 
-  console.log(`Projected ${projected.length} words into 3D space`);
+// --- Three.js scene ---
 
-  // Log position ranges for tuning
-  let minX=Infinity, maxX=-Infinity, minY=Infinity, maxY=-Infinity, minZ=Infinity, maxZ=-Infinity;
+/**
+ * Extent of the projected words in the current slice.
+ */
+function computeBounds(projected) {
+  const b = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
   for (const w of projected) {
-    if (w.x < minX) minX = w.x; if (w.x > maxX) maxX = w.x;
-    if (w.y < minY) minY = w.y; if (w.y > maxY) maxY = w.y;
-    if (w.z < minZ) minZ = w.z; if (w.z > maxZ) maxZ = w.z;
+    if (w.x < b.minX) b.minX = w.x; if (w.x > b.maxX) b.maxX = w.x;
+    if (w.y < b.minY) b.minY = w.y; if (w.y > b.maxY) b.maxY = w.y;
+    if (w.z < b.minZ) b.minZ = w.z; if (w.z > b.maxZ) b.maxZ = w.z;
   }
-  console.log(`Position ranges: x=[${minX.toFixed(1)}, ${maxX.toFixed(1)}] y=[${minY.toFixed(1)}, ${maxY.toFixed(1)}] z=[${minZ.toFixed(1)}, ${maxZ.toFixed(1)}]`);
+  // Log position ranges for tuning
+  console.log(`Position ranges: x=[${b.minX.toFixed(1)}, ${b.maxX.toFixed(1)}] y=[${b.minY.toFixed(1)}, ${b.maxY.toFixed(1)}] z=[${b.minZ.toFixed(1)}, ${b.maxZ.toFixed(1)}]`);
+  return b;
+}
+
+function startScene(axisLabels, projected, diagnostics, clusters, initialSlice) {
+  // Start in the shared link's slice if it has one, else the first three axes
+  const slices = listSlices(axisLabels.length);
+  const shared = initialSlice ? slices.findIndex(sl => sl.join() === initialSlice.join()) : -1;
+  sliceState = {
+    axisLabels, projected, diagnostics, clusters, clusterCount: session.options.clusters,
+    slices, index: Math.max(0, shared),
+  };
+
+  const slice = slices[sliceState.index];
+  applySlice(projected, slice);
+  const axes = sliceAxes(axisLabels, slice);
+  const beacons = getBeaconPositions(axes, projected);
+  sliceState.beacons = beacons;
+
+  console.log(`Projected ${projected.length} words onto ${axisLabels.length} axes`);
 
   // Scene setup
   scene = new THREE.Scene();
@@ -186,12 +566,31 @@ function startScene(axes, axisVectors, selectedIndices) {
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
   document.body.appendChild(renderer.domElement);
 
+  // The word under the crosshair (flying) or the mouse (paused)
+  picker = createWordPicker({
+    camera,
+    domElement: renderer.domElement,
+    getWordCloud: () => wordCloud,
+    isLocked: () => flight.isLocked,
+  });
+  selection.subscribe((word) => {
+    picker.setSelected(word);
+    inspectWord(word);
+    if (word && session.colorMode === 'similarity') setQueryWord(word);
+    if (showEdges) refreshEdges();
+  });
+
   // Ambient light
   scene.add(new THREE.AmbientLight(0x333355, 1));
 
   // Build word cloud
-  const clouds = buildWordCloud(scene, projected, beacons);
-  wordGroup = clouds.wordGroup;
+  const coloring = currentColoring();
+  const clouds = buildWordCloud(scene, projected, beacons, { colorOf: coloring.colorOf });
+  wordCloud = clouds.wordCloud;
+  beaconGroup = clouds.beaconGroup;
+  showClusterLabels();
+  renderLegend(coloring);
+  loadQuerySimilarity();
 
   // Subtle particle dust
   addStarfield(scene);
@@ -199,18 +598,27 @@ function startScene(axes, axisVectors, selectedIndices) {
   // Beacon indicators (off-screen arrows)
   beaconIndicators = new BeaconIndicators(beacons);
 
-  // Minimap
+  // Minimap and axis gauges (labelled and bounded by labelSlice)
   minimap = createMinimap(document.getElementById('minimap-container'));
-  minimap.setBounds(minX, maxX, minY, maxY, minZ, maxZ);
-  minimap.setAxes(axes);
-
-  // Axis gauges
   gauges = createAxisGauges(document.getElementById('gauge-container'));
-  gauges.setAxes(axes);
-  gauges.setBounds(minX, maxX, minY, maxY, minZ, maxZ);
 
   // Flight controls
-  flight = new FlightController(camera, document.body);
+  // Phones and tablets fly by touch, having no pointer lock
+  const touch = isTouchOnly()
+    ? createTouchControls(hudEl, renderer.domElement, {
+      onTap: (ndc) => {
+        const word = picker.wordAt(ndc);
+        if (word) selection.select(word);
+      },
+      onPause: () => flight.unlock(),
+    })
+    : null;
+  flight = new FlightController(camera, document.body, { bindings: inputBindings, touch });
+  if (touch) {
+    document.body.classList.add('touch');
+    document.getElementById('instructions').textContent =
+      'Stick to move · ▲ ▼ climb and sink · Drag to look · Tap a word to select · Tap a beacon name to face it · ❚❚ pause';
+  }
   flight.setBeacons(beacons);
 
   flight.onLock(() => {
@@ -225,20 +633,56 @@ function startScene(axes, axisVectors, selectedIndices) {
     gauges.hide();
   });
 
-  // Update HUD compass labels with key hints (1-6 matches UI order)
-  document.getElementById('hud-left').textContent = `1: \u2190 ${axes.xNeg}`;
-  document.getElementById('hud-right').textContent = `2: ${axes.xPos} \u2192`;
-  document.getElementById('hud-up').textContent = `3: \u2191 ${axes.yPos}`;
-  document.getElementById('hud-down').textContent = `4: \u2193 ${axes.yNeg}`;
-  document.getElementById('hud-forward').textContent = `5: \u2197 ${axes.zPos}`;
-  document.getElementById('hud-backward').textContent = `6: \u2199 ${axes.zNeg}`;
+  labelSlice(axes);
+
+  // V / Shift+V step through the 3D slices when there are more than
+  // three axes; K shows or hides clusters and -/= change their number;
+  // [ and ] show fewer or more words at once; M changes what colour shows;
+  // / searches for a word; G opens the analogy panel; N shows neighbour edges;
+  // I selects the word under the crosshair (or clears the selection), F
+  // flies to it and B bookmarks it; Shift+B flies through the bookmarks.
+  // E opens the pole editor
+  document.addEventListener('keydown', (e) => {
+    if (!flight.isLocked) return;
+    if (e.code === 'KeyI') selection.select(picker.getTarget());
+    if (e.code === 'KeyF') flyToWord(picker.getTarget() || selection.get());
+    if (e.code === 'KeyB' && e.shiftKey) flyToNextBookmark();
+    if (e.code === 'KeyB' && !e.shiftKey) toggleBookmark(picker.getTarget() || selection.get());
+    if (e.code === 'KeyV') switchSlice(e.shiftKey ? -1 : 1);
+    if (e.code === 'KeyK') setClusters(session.options.clusters ? 0 : clusterCount);
+    if (e.code === 'Minus' && session.options.clusters) setClusters(Math.max(MIN_CLUSTERS, clusterCount - 1));
+    if (e.code === 'Equal' && session.options.clusters) setClusters(Math.min(MAX_CLUSTERS, clusterCount + 1));
+    if (e.code === 'KeyM') cycleColorMode();
+    if (e.code === 'KeyN') toggleEdges();
+    if (e.code === 'Slash') {
+      e.preventDefault();
+      openSearch();
+    }
+    if (e.code === 'KeyG') {
+      e.preventDefault();
+      openAnalogy();
+    }
+    if (e.code === 'BracketLeft') stepWordBudget(-1);
+    if (e.code === 'BracketRight') stepWordBudget(1);
+    if (e.code === 'KeyE') {
+      e.preventDefault();
+      openEditor();
+    }
+  });
 
   // Hide loading, show scene
   loadingEl.classList.add('hidden');
+  viewControlsEl.classList.remove('hidden');
 
-  // Click to start flying
+  // Click a word to select it; click anywhere else to start flying
   document.body.addEventListener('click', () => {
-    if (!flight.isLocked) {
+    const target = picker.getTarget();
+    if (flight.isLocked) {
+      // Under touch, taps select through the touch controls instead
+      if (target && !flight.touch) selection.select(target);
+    } else if (target) {
+      selection.select(target);
+    } else if (!panelOpen()) {
       flight.lock();
     }
   });
@@ -254,6 +698,1118 @@ function startScene(axes, axisVectors, selectedIndices) {
   animate();
 }
 
+/**
+ * Whether a panel that takes typing or clicks (search, analogy, pole
+ * editor, controls) is open — clicks there mustn't start flying.
+ */
+function panelOpen() {
+  return [searchEl, analogyEl, editorEl, controlsEl].some(el => !el.classList.contains('hidden'));
+}
+
+/**
+ * Point the minimap, gauges and HUD at the current slice's axes.
+ */
+function labelSlice(axes) {
+  const { projected, diagnostics, slices, index } = sliceState;
+  const slice = slices[index];
+  const { minX, maxX, minY, maxY, minZ, maxZ } = computeBounds(projected);
+
+  minimap.setBounds(minX, maxX, minY, maxY, minZ, maxZ);
+  minimap.setAxes(axes);
+  gauges.setAxes(axes);
+  gauges.setBounds(minX, maxX, minY, maxY, minZ, maxZ);
+
+  // Update HUD compass labels with key hints (1-6 matches UI order)
+  document.getElementById('hud-left').textContent = `1: \u2190 ${axes.xNeg}`;
+  document.getElementById('hud-right').textContent = `2: ${axes.xPos} \u2192`;
+  document.getElementById('hud-up').textContent = `3: \u2191 ${axes.yPos}`;
+  document.getElementById('hud-down').textContent = `4: \u2193 ${axes.yNeg}`;
+  document.getElementById('hud-forward').textContent = `5: \u2197 ${axes.zPos}`;
+  document.getElementById('hud-backward').textContent = `6: \u2199 ${axes.zNeg}`;
+
+  // How correlated the flown cloud actually is, per pair of axes
+  renderCorrelations(
+    document.getElementById('hud-correlations'),
+    `${getProjector(diagnostics.projector).label}${diagnostics.orthogonalized ? ', orthogonalized' : ''} · r:`,
+    diagnostics.cloudCorrelations,
+    slice,
+  );
+
+  document.getElementById('hud-notice').textContent = diagnostics.missingIncludes.length
+    ? `Not in the vocabulary: ${diagnostics.missingIncludes.join(', ')}`
+    : '';
+
+  document.getElementById('hud-slice').textContent = slices.length > 1
+    ? `Slice ${index + 1}/${slices.length} (axes ${slice.map(a => a + 1).join(', ')}) · V next · Shift+V previous`
+    : '';
+  labelClusters();
+  labelBookmarks();
+  labelEdges();
+  if (inspectedWord) renderWordPanel();
+}
+
+// Under touch the compass labels are buttons: tap one to face its
+// beacon, as 1-6 do on a keyboard
+['hud-left', 'hud-right', 'hud-up', 'hud-down', 'hud-forward', 'hud-backward'].forEach((id, i) => {
+  document.getElementById(id).addEventListener('click', (e) => {
+    e.stopPropagation();
+    const beacon = sliceState.beacons[i];
+    flight.orientToward(new THREE.Vector3(beacon.x, beacon.y, beacon.z));
+  });
+});
+
+/**
+ * Keep the URL in step with the session and the slice being flown.
+ */
+function recordSession() {
+  const slice = sliceState.slices[sliceState.index];
+  history.replaceState(null, '', `#${encodeSession({ ...session, slice })}`);
+}
+
+// --- Colour modes ---
+
+/**
+ * The current colour mode, bound to the words and slice on show.
+ */
+function currentColoring() {
+  return createColoring(session.colorMode, sliceState.projected, {
+    beacons: sliceState.beacons,
+    clusters: session.options.clusters ? sliceState.clusters : null,
+    query: session.query,
+    vocabSize: vocabInfo.count,
+  });
+}
+
+/**
+ * Repaint the words in the current colour mode and update the legend.
+ */
+function applyColoring() {
+  const coloring = currentColoring();
+  recolorWords(wordCloud, sliceState.projected, coloring.colorOf);
+  renderLegend(coloring);
+  recordSession();
+}
+
+function renderLegend({ mode, legend }) {
+  colorModeSelect.value = mode;
+  const title = document.createElement('div');
+  title.textContent = legend.title;
+  colorLegendEl.replaceChildren(title);
+
+  if (legend.swatches) {
+    const items = document.createElement('div');
+    for (const { color, label } of legend.swatches) {
+      const item = document.createElement('span');
+      item.className = 'legend-item';
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.style.background = color;
+      item.append(swatch, label);
+      items.append(item);
+    }
+    colorLegendEl.append(items);
+  }
+  if (legend.ramp) {
+    const { colors, from, to } = legend.ramp;
+    const ramp = document.createElement('div');
+    ramp.className = 'legend-ramp';
+    ramp.style.background = `linear-gradient(to right, ${colors.join(', ')})`;
+    const ends = document.createElement('div');
+    ends.className = 'legend-ends';
+    const low = document.createElement('span');
+    low.textContent = from;
+    const high = document.createElement('span');
+    high.textContent = to;
+    ends.append(low, high);
+    colorLegendEl.append(ramp, ends);
+  }
+  if (legend.note) {
+    const note = document.createElement('div');
+    note.textContent = legend.note;
+    colorLegendEl.append(note);
+  }
+}
+
+/**
+ * Colour the words another way. Colouring by cluster shows the
+ * clusters; colouring by similarity compares with the selected word.
+ */
+function setColorMode(mode) {
+  if (mode === 'cluster' && !session.options.clusters) {
+    // The legend switches over once the words are clustered
+    colorModeSelect.value = session.colorMode;
+    setClusters(clusterCount);
+    return;
+  }
+  session = { ...session, colorMode: mode };
+  if (mode === 'similarity' && selection.get()) {
+    setQueryWord(selection.get());
+    return;
+  }
+  applyColoring();
+  loadQuerySimilarity();
+}
+
+function cycleColorMode() {
+  const at = COLOR_MODES.findIndex(m => m.id === session.colorMode);
+  setColorMode(COLOR_MODES[(at + 1) % COLOR_MODES.length].id);
+}
+
+/**
+ * Measure similarity to another word.
+ */
+function setQueryWord(word) {
+  if (word !== session.query) {
+    session = { ...session, query: word };
+    for (const w of sliceState.projected) delete w.querySimilarity;
+  }
+  applyColoring();
+  loadQuerySimilarity();
+}
+
+/**
+ * Fetch every word's cosine to the query word from the worker, when
+ * colouring by similarity, then repaint.
+ */
+async function loadQuerySimilarity() {
+  const { query, colorMode } = session;
+  const { projected } = sliceState;
+  if (colorMode !== 'similarity' || !query) return;
+  if (projected.some(w => w.querySimilarity !== undefined)) return;
+  let similarities;
+  try {
+    similarities = await engine.similarity(query);
+  } catch (err) {
+    console.error('Similarity failed:', err);
+    return;
+  }
+  // Stale: the words or the query changed while the worker was busy
+  if (projected !== sliceState.projected || query !== session.query) return;
+  if (!similarities) {
+    console.warn(`"${query}" is not in the vocabulary`);
+    return;
+  }
+  similarities.forEach((sim, i) => { projected[i].querySimilarity = sim; });
+  if (session.colorMode === 'similarity') applyColoring();
+}
+
+// --- Fly-to and bookmarks ---
+
+/**
+ * Glide to a word and select it.
+ */
+function flyToWord(word) {
+  const entry = picker.findWord(word);
+  if (!entry) return;
+  flight.teleportTo(entry.position.clone());
+  selection.select(word);
+}
+
+function toggleBookmark(word) {
+  if (!word) return;
+  const { bookmarks } = session;
+  session = {
+    ...session,
+    bookmarks: bookmarks.includes(word) ? bookmarks.filter(b => b !== word) : [...bookmarks, word],
+  };
+  labelBookmarks();
+  if (inspectedWord) renderWordPanel();
+  recordSession();
+}
+
+/**
+ * Fly to the bookmark after the selected word, in bookmarking order.
+ */
+function flyToNextBookmark() {
+  const { bookmarks } = session;
+  if (bookmarks.length === 0) return;
+  const next = (bookmarks.indexOf(selection.get()) + 1) % bookmarks.length;
+  flyToWord(bookmarks[next]);
+}
+
+function labelBookmarks() {
+  hudBookmarksEl.textContent = session.bookmarks.length
+    ? `\u2605 ${session.bookmarks.join(' · ')} · Shift+B next`
+    : '';
+}
+
+/**
+ * Move the scene to the current slice of sliceState: words glide to
+ * their new positions (entering words fade in, leaving words fade out)
+ * while the beacons, minimap, gauges and HUD follow the new axes.
+ */
+function morphToSlice() {
+  const { axisLabels, projected, slices, index } = sliceState;
+  const slice = slices[index];
+  applySlice(projected, slice);
+  const axes = sliceAxes(axisLabels, slice);
+  const beacons = getBeaconPositions(axes, projected);
+  sliceState.beacons = beacons;
+
+  const coloring = currentColoring();
+  wordTransition = morphWordCloud(wordCloud, projected, { colorOf: coloring.colorOf });
+  showClusterLabels();
+  renderLegend(coloring);
+  trust = null;
+  trustPromise = null;
+  if (showEdges) refreshEdges();
+  drawAnalogy();
+
+  disposeBeacons(scene, beaconGroup);
+  beaconGroup = buildBeacons(scene, beacons);
+  beaconIndicators.dispose();
+  beaconIndicators = new BeaconIndicators(beacons);
+  flight.setBeacons(beacons);
+
+  labelSlice(axes);
+  recordSession();
+}
+
+/**
+ * Step to another 3D slice.
+ */
+function switchSlice(step) {
+  const { slices } = sliceState;
+  if (slices.length < 2) return;
+  sliceState.index = (sliceState.index + step + slices.length) % slices.length;
+  morphToSlice();
+}
+
+// --- Embedding-space clusters ---
+
+/**
+ * Float a label at each cluster's centroid in the current slice, or
+ * remove them when clusters are hidden.
+ */
+function showClusterLabels() {
+  if (clusterLabelGroup) disposeClusterLabels(scene, clusterLabelGroup);
+  clusterLabelGroup = null;
+  if (session.options.clusters && sliceState.clusters) {
+    clusterLabelGroup = buildClusterLabels(scene, sliceState.projected, sliceState.clusters);
+  }
+}
+
+function labelClusters() {
+  hudClustersEl.textContent = session.options.clusters && sliceState.clusters
+    ? `${sliceState.clusters.length} clusters · K hide · \u2212/= fewer/more`
+    : 'K show clusters';
+}
+
+/**
+ * Show k clusters, or hide them with k = 0. The words are re-clustered
+ * in the worker unless they are already split into k.
+ */
+async function setClusters(k) {
+  if (reclustering) return;
+  if (k && (k !== sliceState.clusterCount || !sliceState.clusters)) {
+    reclustering = true;
+    hudClustersEl.textContent = `Clustering into ${k}...`;
+    try {
+      const { assignments, clusters } = await engine.cluster(k);
+      assignments.forEach((c, i) => { sliceState.projected[i].cluster = c; });
+      sliceState.clusters = clusters;
+      sliceState.clusterCount = k;
+    } catch (err) {
+      console.error('Clustering failed:', err);
+      hudClustersEl.textContent = `Clustering failed: ${err.message}`;
+      return;
+    } finally {
+      reclustering = false;
+    }
+  }
+
+  if (k) clusterCount = k;
+  // Showing clusters colours by them; hiding them can't leave it so
+  const colorMode = k ? 'cluster' : (session.colorMode === 'cluster' ? DEFAULT_COLOR_MODE : session.colorMode);
+  session = { ...session, options: { ...session.options, clusters: k }, colorMode };
+  applyColoring();
+  showClusterLabels();
+  labelClusters();
+}
+
+// --- Neighbour edges ---
+const EDGE_K = 8;           // true neighbours per word
+const EDGE_RADIUS = 25;     // with no selection, edges for the words this near
+const EDGE_SOURCES = 40;    // ... at most this many of them
+
+/**
+ * Draw edges from the selected word — or, with none, from the words
+ * around the camera — to their true nearest neighbours, measuring the
+ * slice's trustworthiness first if it hasn't been.
+ */
+async function refreshEdges() {
+  const token = ++edgeRequest;
+  const { projected, slices, index } = sliceState;
+  if (!showEdges) {
+    edgesPending = false;
+    clearEdges();
+    labelEdges();
+    return;
+  }
+
+  // Guests aren't among the launch's words, so have no edges
+  const launched = projected.filter(w => !w.guest).length;
+  const position = new Map(projected.slice(0, launched).map((w, i) => [w.word, i]));
+  let sources;
+  const selected = selection.get();
+  if (selected) {
+    sources = position.has(selected) ? [position.get(selected)] : [];
+    edgeOrigin = null;
+  } else {
+    sources = wordCloud.index
+      .nearest(camera.position, EDGE_SOURCES, entry => entry.fade >= 0.5 && position.has(entry.word))
+      .filter(({ distance }) => distance <= EDGE_RADIUS)
+      .map(({ item }) => position.get(item.word));
+    edgeOrigin = camera.position.clone();
+  }
+
+  edgesPending = true;
+  try {
+    if (!trust) {
+      hudEdgesEl.textContent = 'Measuring trustworthiness...';
+      // A measurement is many passes over the cloud: share the one running
+      if (!trustPromise) {
+        trustPromise = engine.trustworthiness(slices[index], EDGE_K);
+        const measuring = trustPromise;
+        measuring.then((measured) => {
+          if (trustPromise === measuring) trust = measured;
+        }, () => {
+          if (trustPromise === measuring) trustPromise = null;
+        });
+      }
+      const measuring = trustPromise;
+      await measuring;
+      // Stale: a newer refresh, or another slice
+      if (token !== edgeRequest || measuring !== trustPromise) return;
+    }
+    const edges = await engine.neighbourEdges(sources, EDGE_K);
+    // Stale: a newer refresh, or the words moved
+    if (token !== edgeRequest || projected !== sliceState.projected) return;
+    clearEdges();
+    edgeLines = buildNeighbourEdges(scene, edges, projected, trust.stretch);
+  } catch (err) {
+    console.error('Neighbour edges failed:', err);
+    if (token === edgeRequest) hudEdgesEl.textContent = `Neighbour edges failed: ${err.message}`;
+    return;
+  } finally {
+    if (token === edgeRequest) edgesPending = false;
+  }
+  labelEdges();
+}
+
+function clearEdges() {
+  if (edgeLines) disposeNeighbourEdges(scene, edgeLines);
+  edgeLines = null;
+}
+
+function toggleEdges() {
+  showEdges = !showEdges;
+  refreshEdges();
+}
+
+function labelEdges() {
+  if (!showEdges || !trust) {
+    hudEdgesEl.textContent = showEdges ? '' : 'N neighbour edges';
+    return;
+  }
+  const swatch = (name, text) => {
+    const span = document.createElement('span');
+    span.style.color = EDGE_COLORS[name];
+    span.textContent = text;
+    return span;
+  };
+  hudEdgesEl.replaceChildren(
+    `Edges to ${EDGE_K} true neighbours${selection.get() ? '' : ' of nearby words'} · trustworthiness ${trust.score.toFixed(3)} · `,
+    swatch('faithful', 'faithful'), ' ',
+    swatch('stretched', 'stretched'), ' ',
+    swatch('squeezed', 'squeezed'),
+    ' · N hide',
+  );
+}
+
+// --- Word explanation panel ---
+const NEIGHBOUR_COUNT = 10;
+
+/**
+ * Show how a word got its place, or close the panel with null.
+ */
+function inspectWord(word) {
+  inspectedWord = word;
+  if (!word) {
+    wordPanelEl.classList.add('hidden');
+    return;
+  }
+  renderWordPanel();
+  wordPanelEl.classList.remove('hidden');
+}
+
+function panelRow(parent, cells, tag = 'td') {
+  const tr = document.createElement('tr');
+  for (const text of cells) {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    tr.appendChild(cell);
+  }
+  parent.appendChild(tr);
+}
+
+/**
+ * Fill the panel for the inspected word in the current slice: the
+ * cosine to each of the six poles, raw and normalized x/y/z, magnitude,
+ * rank within the selection, and (from the worker) the word's nearest
+ * neighbours in the full embedding space.
+ */
+function renderWordPanel() {
+  const { axisLabels, projected, clusters, slices, index, diagnostics } = sliceState;
+  const word = inspectedWord;
+  const w = projected.find(p => p.word === word);
+  wordPanelEl.replaceChildren();
+
+  const close = document.createElement('button');
+  close.className = 'link-button panel-close';
+  close.textContent = '\u00d7';
+  close.title = 'Clear the selection';
+  close.addEventListener('click', () => selection.select(null));
+  wordPanelEl.appendChild(close);
+
+  const title = document.createElement('h3');
+  title.textContent = session.bookmarks.includes(word) ? `\u2605 ${word}` : word;
+  wordPanelEl.appendChild(title);
+  if (!w) {
+    wordPanelEl.append('No longer in the cloud.');
+    return;
+  }
+
+  const rank = projected.reduce((r, p) => r + (p.magnitude > w.magnitude ? 1 : 0), 1);
+  const summary = document.createElement('p');
+  summary.textContent = `Rank ${rank.toLocaleString()} of ${projected.length.toLocaleString()} · magnitude ${w.magnitude.toFixed(2)}`;
+  if (session.options.clusters && clusters && w.cluster !== undefined) {
+    summary.textContent += ` · cluster "${clusters[w.cluster].name}"`;
+  }
+  wordPanelEl.appendChild(summary);
+  if (w.guest) {
+    const guest = document.createElement('p');
+    guest.className = 'word-guest';
+    guest.textContent = w.rank < 0
+      ? 'Guest: not in the vocabulary, embedded by the model'
+      : 'Guest: in the vocabulary but not among the selected words';
+    wordPanelEl.appendChild(guest);
+  }
+
+  // Orthogonalized axes project onto shifted pole rows, whose scores
+  // aren't cosines to the poles — show both
+  const adjusted = diagnostics.orthogonalized;
+  const table = document.createElement('table');
+  panelRow(table, [
+    '', 'cos +', 'cos \u2212',
+    ...(adjusted ? ['ortho score +', 'ortho score \u2212'] : []),
+    'raw', 'norm', 'pos',
+  ], 'th');
+  slices[index].forEach((a, k) => {
+    const { pos, neg } = axisLabels[a];
+    panelRow(table, [
+      `${'xyz'[k]}  ${neg} \u2194 ${pos}`,
+      w.cosines[2 * a].toFixed(3),
+      w.cosines[2 * a + 1].toFixed(3),
+      ...(adjusted ? [w.similarities[2 * a].toFixed(3), w.similarities[2 * a + 1].toFixed(3)] : []),
+      w.raw[a].toFixed(3),
+      (w.coords[a] / SCALE).toFixed(2),
+      w.coords[a].toFixed(1),
+    ]);
+  });
+  wordPanelEl.appendChild(table);
+
+  const neighboursEl = document.createElement('p');
+  neighboursEl.className = 'word-neighbours';
+  neighboursEl.textContent = 'Nearest in embedding space...';
+  wordPanelEl.appendChild(neighboursEl);
+
+  engine.neighbours(word, NEIGHBOUR_COUNT).then((neighbours) => {
+    if (inspectedWord !== word) return;
+    const inCloud = new Set(projected.map(p => p.word));
+    neighboursEl.replaceChildren('Nearest in embedding space: ');
+    neighbours.forEach(({ word: n, similarity }, i) => {
+      const span = document.createElement('span');
+      span.textContent = `${n} ${similarity.toFixed(2)}`;
+      if (!inCloud.has(n)) span.className = 'outside';
+      if (i > 0) neighboursEl.append(' · ');
+      neighboursEl.append(span);
+    });
+  }).catch((err) => {
+    console.error('Neighbour lookup failed:', err);
+    neighboursEl.textContent = `Neighbours unavailable: ${err.message}`;
+  });
+}
+
+// --- Word search ---
+const SEARCH_SUGGESTIONS = 8;
+
+const searchEl = document.getElementById('search');
+const searchInput = document.getElementById('search-input');
+const searchResultsEl = document.getElementById('search-results');
+const searchStatus = document.getElementById('search-status');
+let suggestions = [];       // words offered for the current input
+let activeSuggestion = 0;
+let searchToken = 0;        // the latest autocomplete request
+let placingGuest = false;   // a searched-for word is being placed
+
+/**
+ * Project words onto the current axes as guests — searched for, not
+ * selected — placed in the current slice. Words that can't be placed
+ * are left out.
+ *
+ * @param {string[]} words
+ * @param {object[]} projected - the words already in the cloud; words among them are skipped
+ * @returns {Promise<object[]>} the guests, to add to projected
+ */
+async function placeGuests(words, projected) {
+  const shown = new Set(projected.map(w => w.word));
+  const placed = await Promise.all(words.filter(word => !shown.has(word)).map(word =>
+    engine.place(word).catch((err) => {
+      console.warn(`Could not place "${word}":`, err);
+      return null;
+    })));
+  const guests = placed.filter(Boolean).map(w => ({ ...w, guest: true }));
+  // Before the first scene the launch's slice isn't known yet
+  if (sliceState) applySlice(guests, sliceState.slices[sliceState.index]);
+  return guests;
+}
+
+function openSearch() {
+  flight.unlock();
+  searchInput.value = '';
+  searchStatus.textContent = '';
+  suggestions = [];
+  renderSuggestions();
+  searchEl.classList.remove('hidden');
+  searchInput.focus();
+}
+
+function closeSearch() {
+  searchEl.classList.add('hidden');
+}
+
+function renderSuggestions() {
+  const byWord = new Map(sliceState.projected.map(w => [w.word, w]));
+  searchResultsEl.replaceChildren(...suggestions.map(({ word, inVocabulary }, i) => {
+    const item = document.createElement('li');
+    if (i === activeSuggestion) item.className = 'active';
+    const w = byWord.get(word);
+    const tag = document.createElement('span');
+    tag.className = w && w.guest ? 'search-tag guest' : 'search-tag';
+    tag.textContent = w ? (w.guest ? 'guest' : 'in cloud')
+      : inVocabulary ? 'place as guest' : 'embed as guest';
+    item.append(word, tag);
+    item.addEventListener('click', () => goToWord(word));
+    return item;
+  }));
+}
+
+async function updateSuggestions() {
+  // Seeds can't hold commas, and neither can the guest list in the URL
+  const text = searchInput.value.replace(/,/g, ' ').trim();
+  const token = ++searchToken;
+  const words = text ? await engine.complete(text, SEARCH_SUGGESTIONS) : [];
+  if (token !== searchToken) return;
+  suggestions = words.map(word => ({ word, inVocabulary: true }));
+  // Anything typed can be embedded, vocabulary word or not
+  if (text && !words.includes(text)) suggestions.push({ word: text, inVocabulary: false });
+  activeSuggestion = 0;
+  renderSuggestions();
+}
+
+/**
+ * Fly to a word and select it. A word not in the cloud is placed as a
+ * guest first.
+ */
+async function goToWord(word) {
+  if (placingGuest) return;
+  if (!sliceState.projected.some(w => w.word === word)) {
+    searchStatus.textContent = `Placing "${word}"...`;
+    const { projected } = sliceState;
+    placingGuest = true;
+    let guests;
+    try {
+      guests = await placeGuests([word], projected);
+    } finally {
+      placingGuest = false;
+    }
+    // Stale: the axes changed while the word was being placed
+    if (projected !== sliceState.projected) return;
+    if (guests.length === 0) {
+      searchStatus.textContent = `Could not place "${word}".`;
+      return;
+    }
+    projected.push(...guests);
+    insertWords(wordCloud, projected, guests, { colorOf: currentColoring().colorOf });
+    session = { ...session, guests: [...session.guests, word] };
+    recordSession();
+  }
+  closeSearch();
+  flyToWord(word);
+  flight.lock();
+}
+
+searchInput.addEventListener('input', updateSuggestions);
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeSearch();
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (suggestions.length === 0) return;
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    activeSuggestion = (activeSuggestion + step + suggestions.length) % suggestions.length;
+    renderSuggestions();
+  }
+  if (e.key === 'Enter') {
+    // Suggestions may not have arrived yet for what was just typed
+    const word = suggestions.length > 0 ? suggestions[activeSuggestion].word : searchInput.value.replace(/,/g, ' ').trim();
+    if (word) goToWord(word);
+  }
+});
+
+// --- Analogies ---
+const ANALOGY_RESULTS = 8;
+
+const analogyEl = document.getElementById('analogy');
+const analogyInputs = ['analogy-a', 'analogy-b', 'analogy-c'].map(id => document.getElementById(id));
+const analogyResultsEl = document.getElementById('analogy-results');
+const analogyStatus = document.getElementById('analogy-status');
+const analogySolveBtn = document.getElementById('analogy-solve');
+let analogyToken = 0;       // the latest analogy request
+
+function openAnalogy() {
+  flight.unlock();
+  analogyEl.classList.remove('hidden');
+  // Start from the selected word when the panel is empty
+  const selected = selection.get();
+  if (selected && analogyInputs.every(input => !input.value)) analogyInputs[0].value = selected;
+  (analogyInputs.find(input => !input.value) || analogyInputs[0]).focus();
+}
+
+function closeAnalogy() {
+  analogyEl.classList.add('hidden');
+}
+
+/**
+ * Solve a : b :: c : ? and draw it: arrows from a to b and from c to
+ * the result, placed on the current axes, and the vocabulary words
+ * nearest the result listed in the panel.
+ *
+ * @param {string[]} words - a, b and c
+ */
+async function solveAnalogy(words) {
+  const token = ++analogyToken;
+  const { projected } = sliceState;
+  analogyStatus.textContent = `Solving ${words[0]} : ${words[1]} :: ${words[2]} : ?`;
+  analogySolveBtn.disabled = true;
+  let solved;
+  try {
+    solved = await engine.analogy(...words, ANALOGY_RESULTS);
+  } catch (err) {
+    if (token !== analogyToken) return;
+    console.error('Analogy failed:', err);
+    analogyStatus.textContent = `Analogy failed: ${err.message}`;
+    return;
+  } finally {
+    if (token === analogyToken) analogySolveBtn.disabled = false;
+  }
+  if (token !== analogyToken) return;
+  // Stale: the axes changed while it was being solved
+  if (projected !== sliceState.projected) {
+    solveAnalogy(words);
+    return;
+  }
+
+  const { nearest, points } = solved;
+  const answer = nearest.length > 0 ? `${nearest[0].word}?` : '?';
+  [...words, answer].forEach((word, i) => { points[i].word = word; });
+  analogy = { words, nearest, points };
+  analogyStatus.textContent = '';
+  renderAnalogyResults();
+  drawAnalogy();
+}
+
+function renderAnalogyResults() {
+  analogyResultsEl.replaceChildren(...(analogy ? analogy.nearest : []).map(({ word, similarity }) => {
+    const item = document.createElement('li');
+    const score = document.createElement('span');
+    score.className = 'similarity';
+    score.textContent = similarity.toFixed(2);
+    item.append(word, score);
+    item.addEventListener('click', () => {
+      closeAnalogy();
+      goToWord(word);
+    });
+    return item;
+  }));
+}
+
+/**
+ * Redraw the analogy's arrows in the current slice.
+ */
+function drawAnalogy() {
+  if (analogyArrows) disposeAnalogyArrows(scene, analogyArrows);
+  analogyArrows = null;
+  if (!analogy) return;
+  const { slices, index } = sliceState;
+  applySlice(analogy.points, slices[index]);
+  analogyArrows = buildAnalogyArrows(scene, analogy.points);
+}
+
+function clearAnalogy() {
+  analogyToken++;
+  analogy = null;
+  analogySolveBtn.disabled = false;
+  analogyStatus.textContent = '';
+  for (const input of analogyInputs) input.value = '';
+  renderAnalogyResults();
+  drawAnalogy();
+  analogyInputs[0].focus();
+}
+
+function submitAnalogy() {
+  const words = analogyInputs.map(input => input.value.trim());
+  const missing = words.findIndex(word => !word);
+  if (missing >= 0) {
+    analogyInputs[missing].focus();
+    return;
+  }
+  solveAnalogy(words);
+}
+
+analogySolveBtn.addEventListener('click', submitAnalogy);
+document.getElementById('analogy-clear').addEventListener('click', clearAnalogy);
+analogyEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeAnalogy();
+  if (e.key === 'Enter' && e.target.tagName === 'INPUT') submitAnalogy();
+});
+
+// --- Flight controls ---
+// Keys taken by the shortcuts in startScene, which flight actions can't have
+const SHORTCUT_KEYS = {
+  KeyI: 'select', KeyF: 'fly to', KeyB: 'bookmark', KeyV: 'switch slice', KeyK: 'clusters',
+  Minus: 'fewer clusters', Equal: 'more clusters', KeyM: 'colour', KeyN: 'neighbour edges',
+  KeyG: 'analogy', Slash: 'search', BracketLeft: 'density', BracketRight: 'density',
+  KeyE: 'edit axis', Escape: 'pause',
+};
+
+const controlsEl = document.getElementById('controls');
+const controlsTable = document.getElementById('controls-table');
+const controlsGamepadEl = document.getElementById('controls-gamepad');
+const controlsStatus = document.getElementById('controls-status');
+const instructionsFlightEl = document.getElementById('instructions-flight');
+let capture = null;         // { id, field, slot } of the binding waiting for a key or button
+
+function openControls() {
+  renderControls();
+  labelGamepad();
+  controlsEl.classList.remove('hidden');
+}
+
+function closeControls() {
+  capture = null;
+  controlsStatus.textContent = '';
+  controlsEl.classList.add('hidden');
+}
+
+/**
+ * One row per flight action: its key slots, then its gamepad slots.
+ */
+function renderControls() {
+  const header = document.createElement('tr');
+  header.innerHTML = `<th></th><th colspan="${KEY_SLOTS}">Keys</th><th colspan="${BUTTON_SLOTS}">Gamepad</th>`;
+  const rows = FLIGHT_ACTIONS.map(({ id, label }) => {
+    const row = document.createElement('tr');
+    const name = document.createElement('th');
+    name.textContent = label;
+    row.append(name);
+    for (let slot = 0; slot < KEY_SLOTS; slot++) row.append(bindingCell(id, 'keys', slot));
+    for (let slot = 0; slot < BUTTON_SLOTS; slot++) row.append(bindingCell(id, 'buttons', slot));
+    return row;
+  });
+  controlsTable.replaceChildren(header, ...rows);
+}
+
+function bindingCell(id, field, slot) {
+  const value = inputBindings.get(id)[field][slot];
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'binding';
+  if (capture && capture.id === id && capture.field === field && capture.slot === slot) {
+    button.classList.add('capturing');
+    button.textContent = field === 'keys' ? 'press a key' : 'press a button';
+  } else if (value === undefined) {
+    button.classList.add('unbound');
+    button.textContent = '—';
+  } else {
+    button.textContent = field === 'keys' ? keyName(value) : buttonName(value);
+  }
+  button.addEventListener('click', () => startCapture(id, field, slot));
+  const cell = document.createElement('td');
+  cell.append(button);
+  return cell;
+}
+
+/**
+ * Wait for the key or gamepad button to bind to a slot. Backspace
+ * clears the slot and Escape leaves it as it was.
+ */
+function startCapture(id, field, slot) {
+  capture = { id, field, slot };
+  const label = FLIGHT_ACTIONS.find(a => a.id === id).label;
+  controlsStatus.textContent = field === 'keys'
+    ? `Press a key for ${label} · Backspace clears · Esc cancels`
+    : `Press a gamepad button for ${label} · Backspace clears · Esc cancels`;
+  renderControls();
+  if (field === 'buttons') waitForButton(capture);
+}
+
+function waitForButton(pending) {
+  if (capture !== pending) return;
+  const index = pressedGamepadButton();
+  if (index >= 0) finishCapture(index);
+  else requestAnimationFrame(() => waitForButton(pending));
+}
+
+/**
+ * Bind the captured key or button (null clears the slot, undefined
+ * cancels).
+ */
+function finishCapture(value) {
+  const { id, field, slot } = capture;
+  capture = null;
+  controlsStatus.textContent = '';
+  if (value === undefined) renderControls();
+  else if (field === 'keys') inputBindings.bindKey(id, slot, value);
+  else inputBindings.bindButton(id, slot, value);
+}
+
+// Capture phase, so a key being bound never reaches the flight controls
+// or the panel's own Escape
+window.addEventListener('keydown', (e) => {
+  if (!capture) return;
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.code === 'Escape') finishCapture(undefined);
+  else if (e.code === 'Backspace' || e.code === 'Delete') finishCapture(null);
+  else if (capture.field === 'keys') {
+    if (SHORTCUT_KEYS[e.code]) controlsStatus.textContent = `${keyName(e.code)} is taken by ${SHORTCUT_KEYS[e.code]}.`;
+    else finishCapture(e.code);
+  }
+}, true);
+
+/**
+ * The flight part of the HUD instructions, from the current bindings.
+ */
+function labelControls() {
+  const key = (id) => {
+    const [code] = inputBindings.get(id).keys;
+    return code ? keyName(code) : '?';
+  };
+  const join = names => names.join(names.every(n => n.length === 1) ? '' : '/');
+  const move = join(['forward', 'left', 'backward', 'right'].map(key));
+  const beaconKeys = [1, 2, 3, 4, 5, 6].map(i => key(`beacon${i}`));
+  const beacons = beaconKeys.join('') === '123456' ? '1-6' : join(beaconKeys);
+  const boost = key('boost');
+  instructionsFlightEl.textContent =
+    `Click to fly · ${move} move · Mouse look · ${boost} boost · ${beacons} orient · ${boost}+${beacons} teleport`;
+}
+
+function labelGamepad() {
+  const pad = connectedGamepad();
+  controlsGamepadEl.textContent = pad
+    ? `${pad.id} · left stick moves, right stick looks`
+    : 'No gamepad found — connect one and press a button. The left stick moves, the right stick looks.';
+}
+
+inputBindings.subscribe(() => {
+  renderControls();
+  labelControls();
+});
+labelControls();
+window.addEventListener('gamepadconnected', labelGamepad);
+window.addEventListener('gamepaddisconnected', labelGamepad);
+document.getElementById('open-controls').addEventListener('click', openControls);
+document.getElementById('controls-done').addEventListener('click', closeControls);
+document.getElementById('controls-reset').addEventListener('click', () => {
+  capture = null;
+  controlsStatus.textContent = '';
+  inputBindings.reset();
+});
+controlsEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeControls();
+});
+
+// --- Mid-flight pole editor ---
+// Beacon axis ('x-', 'y+', ...) → [slice position, pole side]
+const BEACON_POLES = {
+  'x+': [0, 'pos'], 'x-': [0, 'neg'],
+  'y+': [1, 'pos'], 'y-': [1, 'neg'],
+  'z+': [2, 'pos'], 'z-': [2, 'neg'],
+};
+
+const editorEl = document.getElementById('axis-editor');
+const editPoleSelect = document.getElementById('edit-pole');
+const editStatus = document.getElementById('edit-status');
+const editApplyBtn = document.getElementById('edit-apply');
+const editSeeds = createSeedInput(document.getElementById('edit-seeds'));
+let editing = false;       // a re-projection is running
+let editRequest = 0;       // the latest edit; closing the editor drops it
+
+/**
+ * The pole whose beacon is closest to where the camera is looking.
+ */
+function facedPole() {
+  const forward = new THREE.Vector3();
+  camera.getWorldDirection(forward);
+  let best = null;
+  let bestDot = -Infinity;
+  for (const beacon of flight.beacons) {
+    const toBeacon = new THREE.Vector3(beacon.x, beacon.y, beacon.z).sub(camera.position).normalize();
+    const d = toBeacon.dot(forward);
+    if (d > bestDot) {
+      bestDot = d;
+      best = beacon;
+    }
+  }
+  const [position, side] = BEACON_POLES[best.axis];
+  return `${sliceState.slices[sliceState.index][position]}:${side}`;
+}
+
+function loadEditorSeeds() {
+  const [a, side] = editPoleSelect.value.split(':');
+  editSeeds.setSeeds(session.axes[a][side]);
+  editSeeds.markTrimmed(sliceState.diagnostics.trimmed[a][side]);
+}
+
+function openEditor() {
+  editPoleSelect.replaceChildren();
+  sliceState.axisLabels.forEach((labels, a) => {
+    for (const side of ['neg', 'pos']) {
+      const option = document.createElement('option');
+      option.value = `${a}:${side}`;
+      option.textContent = `Axis ${a + 1} ${side === 'pos' ? '+' : '−'} ${labels[side]}`;
+      editPoleSelect.appendChild(option);
+    }
+  });
+  editPoleSelect.value = facedPole();
+  loadEditorSeeds();
+  editStatus.textContent = 'Edit the seeds, then re-project. Words glide to their new places.';
+
+  flight.unlock();
+  editorEl.classList.remove('hidden');
+  document.getElementById('edit-seeds').focus();
+}
+
+function closeEditor() {
+  if (editing) engine.cancel();
+  // cancel() can't reach an edit whose launch already finished (say,
+  // one still placing guests), so stop it from applying as well
+  editRequest++;
+  editorEl.classList.add('hidden');
+}
+
+/**
+ * Re-embed the edited pole and re-project: only the changed seeds are
+ * embedded again (the worker caches the rest).
+ */
+async function applyEdit() {
+  const [key, side] = editPoleSelect.value.split(':');
+  const a = Number(key);
+  const seeds = editSeeds.getSeeds();
+  let label;
+  try {
+    label = parsePole(seeds).label;
+  } catch (err) {
+    editStatus.textContent = err.message;
+    return;
+  }
+
+  const axes = session.axes.map((axis, i) => (i === a ? { ...axis, [side]: seeds } : axis));
+  const token = ++editRequest;
+  editing = true;
+  editApplyBtn.disabled = true;
+  try {
+    const { projected, clusters, diagnostics } = await engine.launch(axes, session.options, ({ stage, pct }) => {
+      editStatus.textContent = `${LAUNCH_STAGES[stage]} ${Math.round(pct * 100)}%`;
+    });
+    if (token !== editRequest) return;
+    projected.push(...await placeGuests(session.guests, projected));
+    if (token !== editRequest) return;
+
+    session = { ...session, axes };
+    sliceState.axisLabels[a] = { ...sliceState.axisLabels[a], [side]: label };
+    sliceState.projected = projected;
+    sliceState.diagnostics = diagnostics;
+    sliceState.clusters = clusters;
+    sliceState.clusterCount = session.options.clusters;
+    morphToSlice();
+    loadQuerySimilarity();
+    // The analogy's points were placed on the old axes
+    if (analogy) solveAnalogy(analogy.words);
+
+    editorEl.classList.add('hidden');
+    flight.lock();
+  } catch (err) {
+    if (err.name === 'CancelError' || token !== editRequest) return;
+    console.error('Re-projection failed:', err);
+    editStatus.textContent = `Error: ${err.message}`;
+  } finally {
+    editing = false;
+    editApplyBtn.disabled = false;
+  }
+}
+
+editPoleSelect.addEventListener('change', loadEditorSeeds);
+editApplyBtn.addEventListener('click', applyEdit);
+document.getElementById('edit-cancel').addEventListener('click', closeEditor);
+
+// Clicks inside the editor or word panel shouldn't re-lock the pointer
+editorEl.addEventListener('click', (e) => e.stopPropagation());
+wordPanelEl.addEventListener('click', (e) => e.stopPropagation());
+viewControlsEl.addEventListener('click', (e) => e.stopPropagation());
+searchEl.addEventListener('click', (e) => e.stopPropagation());
+analogyEl.addEventListener('click', (e) => e.stopPropagation());
+controlsEl.addEventListener('click', (e) => e.stopPropagation());
+
+// Density: [ and ] scale the word budget by this much
+const WORD_BUDGET_STEP = 1.25;
+
+/**
+ * Set how many words may be on screen at once. The next frame lays
+ * the cloud out again for it.
+ */
+function setWordBudget(budget) {
+  wordBudget = Math.max(MIN_WORD_BUDGET, Math.min(MAX_WORD_BUDGET, budget));
+  wordBudgetSlider.value = wordBudget;
+  wordBudgetValue.textContent = wordBudget.toLocaleString();
+}
+
+/**
+ * Scale the word budget up (direction 1) or down (-1), in whole
+ * slider steps.
+ */
+function stepWordBudget(direction) {
+  const step = Number(wordBudgetSlider.step);
+  const scaled = direction > 0 ? wordBudget * WORD_BUDGET_STEP : wordBudget / WORD_BUDGET_STEP;
+  const round = direction > 0 ? Math.ceil : Math.floor;
+  setWordBudget(round(scaled / step) * step);
+}
+
+setWordBudget(DEFAULT_WORD_BUDGET);
+wordBudgetSlider.addEventListener('input', () => setWordBudget(Number(wordBudgetSlider.value)));
+
+for (const mode of COLOR_MODES) {
+  const option = document.createElement('option');
+  option.value = mode.id;
+  option.textContent = mode.label;
+  colorModeSelect.appendChild(option);
+}
+colorModeSelect.addEventListener('change', () => setColorMode(colorModeSelect.value));
+editorEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeEditor();
+});
+
 function addStarfield(scene) {
   const count = 2000;
   const geometry = new THREE.BufferGeometry();
@@ -285,9 +1841,22 @@ function animate() {
   // Update flight
   flight.update(delta);
 
+  // What the crosshair or mouse is on
+  picker.update(delta);
+
+  // Glide words towards their positions in a newly chosen slice
+  if (wordTransition && !updateWordTransition(wordTransition, delta)) {
+    wordTransition = null;
+  }
+
+  // Nearby-word edges follow the camera, once the last refresh is in
+  if (showEdges && !edgesPending && edgeOrigin && camera.position.distanceTo(edgeOrigin) > EDGE_RADIUS / 2) {
+    refreshEdges();
+  }
+
   // Update LOD visibility (every frame is fine -- it's cheap)
-  if (wordGroup) {
-    updateWordVisibility(wordGroup, camera.position);
+  if (wordCloud) {
+    updateWordVisibility(wordCloud, camera, delta, { budget: wordBudget });
   }
 
   // Update beacon indicators
@@ -307,9 +1876,9 @@ function animate() {
 
   // Update nearby words display (throttled)
   nearbyTimer += delta;
-  if (nearbyTimer > 0.3 && wordGroup && flight.isLocked) {
+  if (nearbyTimer > 0.3 && wordCloud && flight.isLocked) {
     nearbyTimer = 0;
-    const nearby = findNearbyWords(wordGroup, camera.position, 5);
+    const nearby = findNearbyWords(wordCloud, camera.position, 5);
     if (nearby.length > 0) {
       nearbyEl.textContent = nearby.map(w => w.word).join('  \u00b7  ');
     } else {
@@ -0,0 +1,129 @@
+/**
+ * Vocabulary manifest — describes which embedding space embeddings.bin
+ * lives in, so the browser never compares vectors from two different
+ * models.
+ *
+ * Written by scripts/precompute-embeddings.js next to vocab.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "model": "Xenova/all-mpnet-base-v2",
+ *     "dims": 768,
+ *     "count": 50000,
+ *     "pooling": "mean",
+ *     "normalized": true,
+ *     "dtype": "int8",
+ *     "bytes": { "vocab": 509550, "embeddings": 38600032 },
+ *     "checksums": { "vocab": "sha256:…", "embeddings": "sha256:…" }
+ *   }
+ *
+ * Shared by the app and the Node scripts, so it must stay free of
+ * browser- or Node-only APIs (Web Crypto is available in both).
+ */
+
+export const MANIFEST_FILE = 'vocab.manifest.json';
+export const MANIFEST_VERSION = 1;
+
+// How the app's providers embed words — the vocabulary must match
+export const EMBEDDING_POOLING = 'mean';
+export const EMBEDDING_NORMALIZED = true;
+
+// Known models and their output dimensionality
+export const MODEL_DIMS = {
+  'Xenova/all-mpnet-base-v2': 768,
+  'Xenova/all-MiniLM-L6-v2': 384,
+};
+
+/**
+ * SHA-256 of a byte buffer, formatted as "sha256:<hex>".
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export async function sha256(bytes) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
+
+/**
+ * Build a manifest for freshly computed embeddings.
+ */
+export function createManifest({ model, dims, count, dtype = 'float32', bytes = null, checksums }) {
+  return {
+    version: MANIFEST_VERSION,
+    model,
+    dims,
+    count,
+    pooling: EMBEDDING_POOLING,
+    normalized: EMBEDDING_NORMALIZED,
+    dtype,
+    bytes,
+    checksums,
+  };
+}
+
+/**
+ * Best-effort manifest for legacy assets published without one.
+ * The model is inferred from the dimensionality; nothing is verified.
+ *
+ * @param {number} dims
+ * @param {number} count
+ * @returns {object}
+ */
+export function inferManifest(dims, count) {
+  const model = Object.keys(MODEL_DIMS).find(name => MODEL_DIMS[name] === dims);
+  if (!model) {
+    throw new Error(
+      `embeddings.bin has ${dims} dimensions, which matches no known model, and no ${MANIFEST_FILE} was found. ` +
+      'Re-run scripts/precompute-embeddings.js to publish a manifest.'
+    );
+  }
+  return { ...createManifest({ model, dims, count, checksums: null }), inferred: true };
+}
+
+/**
+ * Check a manifest is one this build understands.
+ *
+ * @param {object} manifest
+ */
+export function validateManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error(`${MANIFEST_FILE} is empty or not an object.`);
+  }
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`${MANIFEST_FILE} has version ${manifest.version}; this build expects ${MANIFEST_VERSION}.`);
+  }
+  for (const field of ['model', 'dims', 'count']) {
+    if (manifest[field] === undefined) {
+      throw new Error(`${MANIFEST_FILE} is missing "${field}".`);
+    }
+  }
+}
+
+/**
+ * Throw if a loaded embedding provider can't produce vectors in the same
+ * space as the vocabulary.
+ *
+ * @param {object} manifest - vocabulary manifest
+ * @param {{ label: string, model: string|null, dims: number|null }} provider
+ */
+export function assertCompatible(manifest, provider) {
+  if (provider.model !== manifest.model) {
+    throw new Error(
+      `${provider.label} loaded ${provider.model}, but the vocabulary was embedded with ${manifest.model}.`
+    );
+  }
+  if (provider.dims !== manifest.dims) {
+    throw new Error(
+      `${provider.label} produces ${provider.dims}-d vectors, but the vocabulary is ${manifest.dims}-d.`
+    );
+  }
+  if (manifest.pooling !== EMBEDDING_POOLING || manifest.normalized !== EMBEDDING_NORMALIZED) {
+    throw new Error(
+      `The vocabulary was embedded with ${manifest.pooling} pooling` +
+      `${manifest.normalized ? ' and normalization' : ' without normalization'}, ` +
+      `which this build's providers don't reproduce.`
+    );
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Word picking — which word the user is pointing at.
+ *
+ * While flying (pointer locked) the target is the word under the
+ * crosshair; with the pointer free it is the word under the mouse. The
+ * words are billboards in one instanced mesh, so rather than raycast
+ * against geometry the ray is tested against each word's rectangle in
+ * view space, where every billboard is axis-aligned. Only the words the
+ * cloud's grid index finds near the ray are tested. The target and the
+ * selected word are both highlighted.
+ */
+
+import * as THREE from 'three';
+import { highlightWord, findWord, CULL_DISTANCE } from './wordcloud.js';
+
+// Seconds between picks — the cloud is thousands of words
+const PICK_INTERVAL = 0.05;
+// How far a word's centre can be from the ray and still be hit — half
+// the widest billboard
+const PICK_REACH = 8;
+
+/**
+ * Create a picker for the word cloud.
+ *
+ * @param {object} options
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {HTMLElement} options.domElement - the canvas the mouse moves over
+ * @param {() => object} options.getWordCloud - the current word cloud (see wordcloud.js)
+ * @param {() => boolean} options.isLocked - whether the pointer is locked
+ * @returns {object} picker with update, getTarget, wordAt, findWord, setSelected, dispose
+ */
+export function createWordPicker({ camera, domElement, getWordCloud, isLocked }) {
+  const mouse = new THREE.Vector2();
+  const crosshair = new THREE.Vector2(0, 0);
+  const view = new THREE.Vector3();
+  const rayDirection = new THREE.Vector3();
+  let mouseInside = false;
+  let target = null;        // entry under the crosshair or mouse
+  let selectedWord = null;
+  const highlighted = new Set();
+  let sinceLastPick = PICK_INTERVAL;
+
+  function onMouseMove(e) {
+    const rect = domElement.getBoundingClientRect();
+    mouse.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    mouseInside = true;
+  }
+
+  function onMouseLeave() {
+    mouseInside = false;
+  }
+
+  domElement.addEventListener('mousemove', onMouseMove);
+  domElement.addEventListener('mouseleave', onMouseLeave);
+
+  /**
+   * Nearest word whose billboard the ray through a screen point hits.
+   * Words faded out (by distance or a morph) can't be picked.
+   */
+  function pick(ndc) {
+    const wordCloud = getWordCloud();
+    if (!wordCloud) return null;
+    camera.updateMatrixWorld();
+    const tanY = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    const rayX = ndc.x * tanY * camera.aspect;
+    const rayY = ndc.y * tanY;
+
+    rayDirection.set(rayX, rayY, -1).transformDirection(camera.matrixWorld);
+
+    let best = null;
+    let bestDepth = Infinity;
+    // Far along the ray is beyond the cull distance, so nothing to pick
+    const maxDistance = CULL_DISTANCE * Math.hypot(rayX, rayY, 1);
+    wordCloud.index.forEachAlongRay(camera.position, rayDirection, maxDistance, PICK_REACH, (entry) => {
+      if (entry.opacity < 0.1 || entry.fade < 0.5) return;
+      view.copy(entry.position).applyMatrix4(camera.matrixWorldInverse);
+      const depth = -view.z;
+      if (depth <= camera.near || depth >= bestDepth) return;
+      // Where the ray crosses the billboard's plane
+      if (Math.abs(rayX * depth - view.x) > entry.width / 2) return;
+      if (Math.abs(rayY * depth - view.y) > entry.size / 2) return;
+      best = entry;
+      bestDepth = depth;
+    });
+    return best;
+  }
+
+  /**
+   * Enlarge the target and the selected word, and restore the rest.
+   */
+  function refreshHighlights() {
+    const wordCloud = getWordCloud();
+    if (!wordCloud) return;
+    const selected = selectedWord ? findWord(wordCloud, selectedWord) : null;
+    // Words removed by a morph have given up their instance
+    const inCloud = entry => wordCloud.words[entry.index] === entry;
+    const wanted = new Set([target, selected].filter(e => e && inCloud(e)));
+    for (const entry of highlighted) {
+      if (wanted.has(entry)) continue;
+      if (inCloud(entry)) highlightWord(wordCloud, entry, false);
+      highlighted.delete(entry);
+    }
+    for (const entry of wanted) {
+      if (highlighted.has(entry)) continue;
+      highlightWord(wordCloud, entry, true);
+      highlighted.add(entry);
+    }
+  }
+
+  return {
+    /**
+     * Re-pick the target (throttled). Call once per frame.
+     */
+    update(delta) {
+      sinceLastPick += delta;
+      if (sinceLastPick < PICK_INTERVAL) return;
+      sinceLastPick = 0;
+
+      const locked = isLocked();
+      target = locked || mouseInside ? pick(locked ? crosshair : mouse) : null;
+      domElement.style.cursor = !locked && target ? 'pointer' : '';
+      refreshHighlights();
+    },
+
+    /**
+     * The word currently targeted, or null.
+     */
+    getTarget() {
+      return target ? target.word : null;
+    },
+
+    /**
+     * The word at a screen point (normalized device coordinates), or
+     * null — for taps, which have no hover to track.
+     */
+    wordAt(ndc) {
+      const entry = pick(ndc);
+      return entry ? entry.word : null;
+    },
+
+    /**
+     * The cloud entry for a word (with its position), or null if it
+     * isn't in the cloud.
+     */
+    findWord(word) {
+      const wordCloud = getWordCloud();
+      return wordCloud && word ? findWord(wordCloud, word) : null;
+    },
+
+    /**
+     * Keep the selected word highlighted.
+     */
+    setSelected(word) {
+      selectedWord = word;
+      refreshHighlights();
+    },
+
+    dispose() {
+      domElement.removeEventListener('mousemove', onMouseMove);
+      domElement.removeEventListener('mouseleave', onMouseLeave);
+    },
+  };
+}
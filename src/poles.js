@@ -0,0 +1,95 @@
+/**
+ * Axis poles built from seed sets.
+ *
+ * A single word is a noisy pole — "hot" drags in cooking, temperature
+ * and slang at once. Each pole is instead a list of seeds (each one a
+ * word, phrase or expression, see expression.js) whose centroid
+ * becomes the pole vector. Optionally, seeds that sit far from the
+ * others are trimmed before the final centroid is taken.
+ */
+
+import { parseExpression, combineExpression } from './expression.js';
+
+// A seed is only an outlier if it sits at least this far (in cosine)
+// below the pole's mean similarity — a tight pole has nothing to trim
+const MIN_TRIM_GAP = 0.1;
+
+/**
+ * Parse a pole's seeds.
+ *
+ * @param {string[]} seeds - seed expressions, primary seed first
+ * @returns {{ seeds: Array<{ terms: Array<{ weight: number, text: string }>, label: string }>, label: string }}
+ */
+export function parsePole(seeds) {
+  const parsed = seeds.filter(s => s.trim()).map(s => parseExpression(s));
+  if (parsed.length === 0) {
+    throw new Error('Empty pole — add at least one seed word.');
+  }
+  // The primary seed names the pole on beacons and in the HUD
+  return { seeds: parsed, label: parsed[0].label };
+}
+
+/**
+ * Normalized mean of a set of vectors.
+ */
+function centroid(vectors) {
+  const out = new Float32Array(vectors[0].length);
+  for (const vec of vectors) {
+    for (let d = 0; d < out.length; d++) out[d] += vec[d];
+  }
+  let norm = 0;
+  for (let d = 0; d < out.length; d++) norm += out[d] * out[d];
+  norm = Math.sqrt(norm) || 1;
+  for (let d = 0; d < out.length; d++) out[d] /= norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) sum += a[d] * b[d];
+  return sum;
+}
+
+/**
+ * Combine a pole's seeds into its axis vector.
+ *
+ * With trimOutliers, seeds whose similarity to the centroid is more
+ * than one standard deviation and at least MIN_TRIM_GAP below the mean
+ * are dropped (poles with fewer than 3 seeds are never trimmed, and at
+ * least 2 always remain).
+ *
+ * @param {{ seeds: Array<object> }} pole - from parsePole()
+ * @param {Map<string, Float32Array>} vectorsByText - embedding for each term text
+ * @param {{ trimOutliers?: boolean }} [options]
+ * @returns {{ vector: Float32Array, kept: string[], trimmed: string[] }}
+ */
+export function buildPoleVector(pole, vectorsByText, { trimOutliers = false } = {}) {
+  const seedVectors = pole.seeds.map(seed => combineExpression(seed, vectorsByText));
+  let keep = seedVectors.map(() => true);
+
+  if (trimOutliers && seedVectors.length >= 3) {
+    const center = centroid(seedVectors);
+    const sims = seedVectors.map(vec => dot(vec, center));
+    const mean = sims.reduce((a, b) => a + b, 0) / sims.length;
+    const sd = Math.sqrt(sims.reduce((a, s) => a + (s - mean) ** 2, 0) / sims.length);
+    keep = sims.map(s => s >= mean - sd || s > mean - MIN_TRIM_GAP);
+
+    // Never trim below two seeds — keep the two most central
+    if (keep.filter(Boolean).length < 2) {
+      const ranked = sims.map((s, i) => [s, i]).sort((a, b) => b[0] - a[0]);
+      keep = sims.map(() => false);
+      keep[ranked[0][1]] = true;
+      keep[ranked[1][1]] = true;
+    }
+  }
+
+  const kept = [];
+  const trimmed = [];
+  pole.seeds.forEach((seed, i) => (keep[i] ? kept : trimmed).push(seed.label));
+
+  return {
+    vector: centroid(seedVectors.filter((_, i) => keep[i])),
+    kept,
+    trimmed,
+  };
+}
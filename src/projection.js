@@ -1,14 +1,21 @@
 /**
- * Project words into 3D space using 6 axis-words.
+ * Project words into axis space using pairs of axis poles.
  *
- * Each word gets positioned based on cosine similarity
- * to the positive/negative end of each axis.
+ * Each word gets a coordinate on every axis based on cosine similarity
+ * to the positive/negative end of that axis. There are at least three
+ * axes and up to MAX_AXES; which three are flown in 3D is chosen
+ * later (see slices.js).
  *
  * Works with the indexed binary embedding format:
  *   { words: string[], vectors: Float32Array, dims: number }
+ *
+ * The similarities are computed once for the whole vocabulary by
+ * scoreVocabulary() and shared by selection and positioning. How they
+ * become coordinates is up to the chosen projector (see projectors.js).
  */
 
-import { cosineSimilarity, getVector } from './embeddings.js';
+import { getProjector } from './projectors.js';
+import { getStrategy, DEFAULT_WORD_COUNT } from './strategies.js';
 
 // Regex: only pure lowercase alpha, 3-15 chars
 const WORD_RE = /^[a-z]{3,15}$/;
@@ -21,108 +28,571 @@ function isQualityWord(word) {
   return WORD_RE.test(word);
 }
 
+// Axis pair limits: three to fly, up to eight to slice through
+export const MIN_AXES = 3;
+export const MAX_AXES = 8;
+
 /**
- * Select the most relevant words for a given set of axes.
+ * Stack the axis pole vectors into a unit-length (2N × dims) matrix.
+ * Rows go positive then negative pole for each axis in turn, which is
+ * also the column order of the score matrix.
  *
- * For each vocabulary word, compute its magnitude in the axis space
- * (sqrt of sum of squared axis diffs), and return the topK words
- * with the highest magnitude. This ensures different axis choices
- * show different words.
+ * @param {Array<{ pos: Float32Array, neg: Float32Array }>} axisVectors - one entry per axis
+ * @param {number} dims
+ * @returns {Float32Array}
+ */
+export function buildAxisMatrix(axisVectors, dims) {
+  const matrix = new Float32Array(axisVectors.length * 2 * dims);
+  axisVectors.forEach(({ pos, neg }, a) => {
+    [pos, neg].forEach((vec, side) => {
+      if (vec.length !== dims) {
+        throw new Error(`Axis ${a + 1} vector is ${vec.length}-d but the vocabulary is ${dims}-d.`);
+      }
+      const row = (2 * a + side) * dims;
+      let norm = 0;
+      for (let d = 0; d < dims; d++) norm += vec[d] * vec[d];
+      norm = Math.sqrt(norm) || 1;
+      for (let d = 0; d < dims; d++) matrix[row + d] = vec[d] / norm;
+    });
+  });
+  return matrix;
+}
+
+/**
+ * Direction vector (A+ - A-) of each axis, read from the axis matrix.
+ */
+function axisDirections(axisMatrix, dims) {
+  const pairs = axisMatrix.length / dims / 2;
+  const dirs = [];
+  for (let a = 0; a < pairs; a++) {
+    const pos = (2 * a) * dims;
+    const neg = (2 * a + 1) * dims;
+    const dir = new Float64Array(dims);
+    for (let d = 0; d < dims; d++) dir[d] = axisMatrix[pos + d] - axisMatrix[neg + d];
+    dirs.push(dir);
+  }
+  return dirs;
+}
+
+function dot64(a, b) {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) sum += a[d] * b[d];
+  return sum;
+}
+
+/**
+ * Pairwise cosine between the axis directions (A+ - A-) in embedding
+ * space. Correlated axes (love/hate vs good/evil) squash the cloud
+ * onto a diagonal; this says how much.
+ *
+ * @param {Float32Array} axisMatrix - from buildAxisMatrix()
+ * @param {number} dims
+ * @returns {number[][]} N × N cosines (1 on the diagonal)
+ */
+export function axisDirectionCosines(axisMatrix, dims) {
+  const dirs = axisDirections(axisMatrix, dims);
+  const norms = dirs.map(dir => Math.sqrt(dot64(dir, dir)) || 1);
+  return dirs.map((a, i) => dirs.map((b, j) => dot64(a, b) / (norms[i] * norms[j])));
+}
+
+/**
+ * Make the axis directions mutually orthogonal (Gram–Schmidt in
+ * embedding space, in axis order), modifying the matrix in place.
+ *
+ * Each pole pair is shifted symmetrically so A+ - A- becomes the
+ * orthogonalized direction while the pair's midpoint stays put.
+ *
+ * @param {Float32Array} axisMatrix - from buildAxisMatrix()
+ * @param {number} dims
+ * @returns {Float32Array} the same matrix
+ */
+export function orthogonalizeAxisMatrix(axisMatrix, dims) {
+  const dirs = axisDirections(axisMatrix, dims);
+  const basis = [];
+
+  dirs.forEach((dir, a) => {
+    const ortho = Float64Array.from(dir);
+    for (const b of basis) {
+      const k = dot64(ortho, b) / dot64(b, b);
+      for (let d = 0; d < dims; d++) ortho[d] -= k * b[d];
+    }
+    basis.push(ortho);
+
+    // Split the correction evenly between the two poles
+    const pos = (2 * a) * dims;
+    const neg = (2 * a + 1) * dims;
+    for (let d = 0; d < dims; d++) {
+      const half = (dir[d] - ortho[d]) / 2;
+      axisMatrix[pos + d] -= half;
+      axisMatrix[neg + d] += half;
+    }
+  });
+
+  return axisMatrix;
+}
+
+/**
+ * Pearson correlation between every pair of projected axis
+ * coordinates — how flat the resulting cloud actually is.
+ *
+ * @param {Array<{coords: number[]}>} projectedWords - from projectWords()
+ * @returns {number[][]} N × N correlations (1 on the diagonal)
+ */
+export function coordinateCorrelations(projectedWords) {
+  const n = projectedWords.length || 1;
+  const N = projectedWords.length ? projectedWords[0].coords.length : 0;
+  const mean = new Array(N).fill(0);
+  for (const w of projectedWords) {
+    for (let a = 0; a < N; a++) mean[a] += w.coords[a] / n;
+  }
+  const cov = Array.from({ length: N }, () => new Array(N).fill(0));
+  for (const w of projectedWords) {
+    for (let a = 0; a < N; a++) {
+      const da = w.coords[a] - mean[a];
+      for (let b = a; b < N; b++) cov[a][b] += da * (w.coords[b] - mean[b]);
+    }
+  }
+  return cov.map((row, a) => row.map((_, b) => {
+    const [i, j] = a <= b ? [a, b] : [b, a];
+    return cov[i][j] / (Math.sqrt(cov[i][i] * cov[j][j]) || 1);
+  }));
+}
+
+/**
+ * Cosine similarity of every vocabulary row to every pole, as one
+ * dot-product pass of the (n × dims) vocabulary against the (2N × dims)
+ * axis matrix. Rows are L2-normalized at precompute time and the axis
+ * matrix is normalized above, so each dot product is the cosine
+ * (orthogonalized poles are deliberately shifted off unit length).
+ *
+ * Callers can score the vocabulary in blocks (to report progress or
+ * yield between them) by passing start/end and the same `scores` array.
  *
  * @param {{ words: string[], vectors: Float32Array, dims: number }} vocabData
- * @param {{ xPos: Float32Array, xNeg: Float32Array, yPos: Float32Array, yNeg: Float32Array, zPos: Float32Array, zNeg: Float32Array }} axisVectors
- * @param {Set<string>} axisWords - the 6 axis word strings to exclude
- * @param {number} topK - how many words to keep (default 7000)
- * @returns {{ indices: number[], magnitudes: Float32Array }}
+ * @param {Float32Array} axisMatrix - from buildAxisMatrix()
+ * @param {object} [range]
+ * @param {number} [range.start] - first row (default 0)
+ * @param {number} [range.end] - one past the last row (default all)
+ * @param {Float32Array} [range.scores] - n × 2N output to fill (allocated if omitted)
+ * @returns {Float32Array} n × 2N scores, row-major in axis matrix order
  */
-export function selectWordsForAxes(vocabData, axisVectors, axisWords, topK = 7000) {
+export function scoreVocabulary(vocabData, axisMatrix, { start = 0, end, scores } = {}) {
   const { words, vectors, dims } = vocabData;
   const n = words.length;
+  const P = axisMatrix.length / dims;
+  if (!scores) scores = new Float32Array(n * P);
+  if (end === undefined) end = n;
+
+  // Six poles per sweep: each row element is loaded once and feeds six
+  // independent accumulators, which is ~3x faster in V8 than six
+  // separate dot products. Pole counts are always even, so any leftover
+  // poles go two at a time.
+  for (let i = start; i < end; i++) {
+    const r = i * dims;
+    const out = i * P;
+    let p = 0;
+    for (; p + 6 <= P; p += 6) {
+      const o0 = p * dims, o1 = o0 + dims, o2 = o1 + dims, o3 = o2 + dims, o4 = o3 + dims, o5 = o4 + dims;
+      let s0 = 0, s1 = 0, s2 = 0, s3 = 0, s4 = 0, s5 = 0;
+      for (let d = 0; d < dims; d++) {
+        const x = vectors[r + d];
+        s0 += x * axisMatrix[o0 + d];
+        s1 += x * axisMatrix[o1 + d];
+        s2 += x * axisMatrix[o2 + d];
+        s3 += x * axisMatrix[o3 + d];
+        s4 += x * axisMatrix[o4 + d];
+        s5 += x * axisMatrix[o5 + d];
+      }
+      scores[out + p] = s0;
+      scores[out + p + 1] = s1;
+      scores[out + p + 2] = s2;
+      scores[out + p + 3] = s3;
+      scores[out + p + 4] = s4;
+      scores[out + p + 5] = s5;
+    }
+    for (; p < P; p += 2) {
+      const o0 = p * dims, o1 = o0 + dims;
+      let s0 = 0, s1 = 0;
+      for (let d = 0; d < dims; d++) {
+        const x = vectors[r + d];
+        s0 += x * axisMatrix[o0 + d];
+        s1 += x * axisMatrix[o1 + d];
+      }
+      scores[out + p] = s0;
+      scores[out + p + 1] = s1;
+    }
+  }
+
+  return scores;
+}
 
-  // Compute magnitude for every word (skip junk and axis words)
+/**
+ * Sum of squared raw (unnormalized) axis coordinates of row i, where
+ * each coordinate is cos(W, A+) - cos(W, A-).
+ */
+function rawMagnitudeSq(scores, i, P) {
+  const o = i * P;
+  let sum = 0;
+  for (let p = 0; p < P; p += 2) {
+    const diff = scores[o + p] - scores[o + p + 1];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+/**
+ * Select the words to show for a given set of axes.
+ *
+ * For each vocabulary word, compute its magnitude in the axis space
+ * (sqrt of sum of squared axis diffs over all N axes, not just the
+ * three being flown, so switching slices never changes the words).
+ * Junk, axis words and excluded words are dropped, then the strategy
+ * (see strategies.js) picks from the rest. Included words are always
+ * kept, even ones the quality filter would reject, and count towards
+ * the total.
+ *
+ * @param {{ words: string[], vectors: Float32Array, dims: number }} vocabData
+ * @param {Float32Array} scores - from scoreVocabulary()
+ * @param {Set<string>} axisWords - the axis pole texts to exclude
+ * @param {object} [selection]
+ * @param {object} [selection.strategy] - from getStrategy() (default: by magnitude)
+ * @param {number} [selection.count] - how many words to keep (default 7000)
+ * @param {string[]} [selection.include] - words to always show
+ * @param {string[]} [selection.exclude] - words to never show
+ * @returns {{ indices: number[], magnitudes: Float32Array, missing: string[] }} missing lists included words not in the vocabulary
+ */
+export function selectWordsForAxes(vocabData, scores, axisWords, {
+  strategy = getStrategy(),
+  count = DEFAULT_WORD_COUNT,
+  include = [],
+  exclude = [],
+} = {}) {
+  const { words } = vocabData;
+  const n = words.length;
+  const P = scores.length / n;
+  const excluded = new Set(exclude);
+
+  // Compute magnitude for every word (skip junk, axis and excluded words)
   const mags = new Float32Array(n);
   let filtered = 0;
   for (let i = 0; i < n; i++) {
-    if (axisWords.has(words[i]) || !isQualityWord(words[i])) {
+    if (axisWords.has(words[i]) || excluded.has(words[i]) || !isQualityWord(words[i])) {
       mags[i] = -1;
       filtered++;
       continue;
     }
-    const vec = getVector(i, vectors, dims);
-    const dx = cosineSimilarity(vec, axisVectors.xPos) - cosineSimilarity(vec, axisVectors.xNeg);
-    const dy = cosineSimilarity(vec, axisVectors.yPos) - cosineSimilarity(vec, axisVectors.yNeg);
-    const dz = cosineSimilarity(vec, axisVectors.zPos) - cosineSimilarity(vec, axisVectors.zNeg);
-    mags[i] = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    mags[i] = Math.sqrt(rawMagnitudeSq(scores, i, P));
   }
   console.log(`Quality filter: kept ${n - filtered} of ${n} words`);
 
-  // Build index array and sort by magnitude descending
-  const indices = Array.from({ length: n }, (_, i) => i);
-  indices.sort((a, b) => mags[b] - mags[a]);
-
-  // Take top K (skip any with mag <= 0, i.e. filtered words)
-  const selected = [];
-  for (let i = 0; i < indices.length && selected.length < topK; i++) {
-    if (mags[indices[i]] > 0) {
-      selected.push(indices[i]);
+  // Included words skip the filters; lists are short, so a scan is fine
+  const forced = [];
+  const missing = [];
+  for (const word of include) {
+    let idx = words.indexOf(word);
+    if (idx < 0) idx = words.indexOf(word.toLowerCase());
+    if (idx < 0) {
+      missing.push(word);
+    } else if (!forced.includes(idx)) {
+      forced.push(idx);
+      mags[idx] = Math.sqrt(rawMagnitudeSq(scores, idx, P));
     }
   }
+  if (missing.length > 0) console.warn(`Included words not in the vocabulary: ${missing.join(', ')}`);
+
+  // Eligible words, strongest first (filtered words have mag -1)
+  const isForced = new Set(forced);
+  const candidates = [];
+  for (let i = 0; i < n; i++) {
+    if (mags[i] > 0 && !isForced.has(i)) candidates.push(i);
+  }
+  candidates.sort((a, b) => mags[b] - mags[a]);
 
-  return { indices: selected, magnitudes: mags };
+  const picked = strategy.select({ candidates, count: Math.max(0, count - forced.length), mags, scores, P });
+  console.log(`Selection (${strategy.id}): ${picked.length} picked + ${forced.length} included`);
+
+  return { indices: [...forced, ...picked], magnitudes: mags, missing };
+}
+
+/**
+ * Per-axis standard deviation of a set of raw coordinates.
+ */
+function stddev(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) || 1;
 }
 
 /**
- * Given vocabulary data, axis vectors, and selected word indices,
- * compute 3D positions for the selected words.
+ * Replace each value by its quantile, mapped onto an even spread with
+ * zero mean and unit standard deviation (uniform on ±√3).
+ */
+function rankNormalize(values) {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const out = new Array(values.length);
+  const n = values.length;
+  order.forEach((idx, rank) => {
+    out[idx] = (((rank + 0.5) / n) * 2 - 1) * Math.sqrt(3);
+  });
+  return out;
+}
+
+/**
+ * What each axis's raw coordinates are divided by: its own standard
+ * deviation, or with 'shared' normalization one pooled across axes.
+ */
+function axisSpreads(axes, normalize) {
+  const sd = axes.map(stddev);
+  if (normalize === 'shared') {
+    const pooled = Math.sqrt(sd.reduce((a, s) => a + s * s, 0) / sd.length);
+    sd.fill(pooled);
+  }
+  return sd;
+}
+
+/**
+ * Given vocabulary data, the score matrix, and selected word indices,
+ * compute a coordinate on every axis for the selected words.
+ *
+ * Each word keeps what its position was computed from, for the word
+ * explanation panel: its cosine to every pole (`similarities`, in axis
+ * matrix order: A1+, A1-, A2+, ...) and the projector's coordinates
+ * before normalization (`raw`).
  *
  * @param {{ words: string[], vectors: Float32Array, dims: number }} vocabData
- * @param {{ xPos: Float32Array, xNeg: Float32Array, yPos: Float32Array, yNeg: Float32Array, zPos: Float32Array, zNeg: Float32Array }} axisVectors
+ * @param {Float32Array} scores - from scoreVocabulary()
  * @param {number[]} selectedIndices - indices of words to project
  * @param {number} scale - multiplier for final positions
- * @returns {Array<{word: string, x: number, y: number, z: number, magnitude: number}>}
+ * @param {object} [method]
+ * @param {object} [method.projector] - from getProjector() (default: cosine difference)
+ * @param {Float32Array} [method.axisMatrix] - the matrix the scores came from
+ * @returns {Array<{word: string, rank: number, coords: number[], magnitude: number, similarities: number[], raw: number[]}>}
+ *   rank is the word's vocabulary index, i.e. its frequency rank
  */
-export function projectWords(vocabData, axisVectors, selectedIndices, scale = 50) {
-  const { words, vectors, dims } = vocabData;
+export function projectWords(vocabData, scores, selectedIndices, scale = 50, { projector = getProjector(), axisMatrix } = {}) {
+  const { words, dims } = vocabData;
+  const coords = projector.bind(axisMatrix, dims);
+  const P = scores.length / words.length;
+  const N = P / 2;
 
-  // First pass: compute raw positions
-  const raw = [];
-  for (const idx of selectedIndices) {
-    const vec = getVector(idx, vectors, dims);
-    const x = cosineSimilarity(vec, axisVectors.xPos) - cosineSimilarity(vec, axisVectors.xNeg);
-    const y = cosineSimilarity(vec, axisVectors.yPos) - cosineSimilarity(vec, axisVectors.yNeg);
-    const z = cosineSimilarity(vec, axisVectors.zPos) - cosineSimilarity(vec, axisVectors.zNeg);
+  // First pass: raw coordinates straight from the cached scores
+  const raw = selectedIndices.map(idx => coords(scores, idx, P));
+  const axes = Array.from({ length: N }, (_, a) => raw.map(r => r[a]));
 
-    raw.push({ word: words[idx], x, y, z });
+  // Second pass: bring the axes to a comparable spread, then scale
+  let normalized;
+  if (projector.normalize === 'rank') {
+    normalized = axes.map(rankNormalize);
+  } else {
+    const sd = axisSpreads(axes, projector.normalize);
+    console.log(`Axis spread (stddev): ${sd.map(s => s.toFixed(4)).join(' ')}`);
+    normalized = axes.map((values, a) => values.map(v => v / sd[a]));
   }
 
-  // Compute per-axis standard deviation for normalization
-  function stddev(values) {
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
-    const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
-    return Math.sqrt(variance) || 1;
+  return selectedIndices.map((idx, i) => {
+    const unit = normalized.map(values => values[i]);
+    return {
+      word: words[idx],
+      rank: idx,
+      coords: unit.map(v => v * scale),
+      magnitude: Math.sqrt(unit.reduce((a, v) => a + v * v, 0)),
+      similarities: Array.from(scores.subarray(idx * P, (idx + 1) * P)),
+      raw: raw[i],
+    };
+  });
+}
+
+/**
+ * Dot product of a vector with every row of a matrix.
+ */
+function rowDots(vector, matrix, dims) {
+  const P = matrix.length / dims;
+  const dots = new Float32Array(P);
+  for (let p = 0; p < P; p++) {
+    let sum = 0;
+    for (let d = 0; d < dims; d++) sum += vector[d] * matrix[p * dims + d];
+    dots[p] = sum;
   }
+  return dots;
+}
 
-  const sdX = stddev(raw.map(w => w.x));
-  const sdY = stddev(raw.map(w => w.y));
-  const sdZ = stddev(raw.map(w => w.z));
-
-  // Second pass: normalize so each axis has similar spread, then scale
-  const results = raw.map(w => {
-    const nx = (w.x / sdX) * scale;
-    const ny = (w.y / sdY) * scale;
-    const nz = (w.z / sdZ) * scale;
-    const mag = Math.sqrt((w.x / sdX) ** 2 + (w.y / sdY) ** 2 + (w.z / sdZ) ** 2);
-    return { word: w.word, x: nx, y: ny, z: nz, magnitude: mag };
+/**
+ * Cosine of each word to each pole (A1+, A1-, A2+, ...). The rows of
+ * an orthogonalized axis matrix are no longer the poles, so this reads
+ * the pole matrix as buildAxisMatrix() made it.
+ *
+ * @param {{ vectors: Float32Array, dims: number }} vocabData
+ * @param {Float32Array} poleMatrix - from buildAxisMatrix(), unadjusted
+ * @param {number[]} indices - vocabulary indices
+ * @returns {Float32Array} indices.length × poles, row-major
+ */
+export function poleCosines(vocabData, poleMatrix, indices) {
+  const { vectors, dims } = vocabData;
+  const P = poleMatrix.length / dims;
+  const cosines = new Float32Array(indices.length * P);
+  indices.forEach((idx, i) => {
+    cosines.set(rowDots(vectors.subarray(idx * dims, (idx + 1) * dims), poleMatrix, dims), i * P);
   });
+  return cosines;
+}
+
+/**
+ * Place words that weren't selected — or aren't in the vocabulary at
+ * all — on the same scale as the words projectWords() placed: their
+ * raw coordinates are normalized with the spread (or, for rank
+ * normalization, the quantiles) of the projected words' own.
+ *
+ * @param {Array<{raw: number[]}>} projected - from projectWords()
+ * @param {number} scale - the multiplier projectWords() used
+ * @param {object} method
+ * @param {object} method.projector - from getProjector()
+ * @param {Float32Array} method.axisMatrix
+ * @param {Float32Array} [method.poleMatrix] - the unadjusted pole rows, if the axes were orthogonalized
+ * @param {number} method.dims
+ * @returns {(vector: Float32Array) => {coords: number[], magnitude: number, similarities: number[], cosines: number[], raw: number[]}}
+ *   places a unit-length embedding
+ */
+export function createWordPlacer(projected, scale, { projector, axisMatrix, poleMatrix = axisMatrix, dims }) {
+  const coords = projector.bind(axisMatrix, dims);
+  const P = axisMatrix.length / dims;
+  const axes = Array.from({ length: P / 2 }, (_, a) => projected.map(w => w.raw[a]));
+
+  let normalize;
+  if (projector.normalize === 'rank') {
+    // The quantile the value would have had among the projected words
+    const sorted = axes.map(values => Float64Array.from(values).sort());
+    normalize = (v, a) => {
+      const values = sorted[a];
+      let lo = 0;
+      let hi = values.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (values[mid] < v) lo = mid + 1;
+        else hi = mid;
+      }
+      return (((lo + 0.5) / (values.length + 1)) * 2 - 1) * Math.sqrt(3);
+    };
+  } else {
+    const sd = axisSpreads(axes, projector.normalize);
+    normalize = (v, a) => v / sd[a];
+  }
 
-  console.log(`Axis spread (stddev): x=${sdX.toFixed(4)} y=${sdY.toFixed(4)} z=${sdZ.toFixed(4)}`);
+  return (vector) => {
+    const similarities = rowDots(vector, axisMatrix, dims);
+    const raw = coords(similarities, 0, P);
+    const unit = raw.map(normalize);
+    return {
+      coords: unit.map(v => v * scale),
+      magnitude: Math.sqrt(unit.reduce((a, v) => a + v * v, 0)),
+      similarities: Array.from(similarities),
+      cosines: poleMatrix === axisMatrix ? Array.from(similarities) : Array.from(rowDots(vector, poleMatrix, dims)),
+      raw,
+    };
+  };
+}
 
-  return results;
+/**
+ * The vocabulary words closest to a word in the full embedding space.
+ * Junk tokens are skipped, as they are for selection.
+ *
+ * @param {{ words: string[], vectors: Float32Array, dims: number }} vocabData
+ * @param {string} word
+ * @param {number} [count]
+ * @returns {Array<{word: string, similarity: number}>} most similar first; empty if the word isn't in the vocabulary
+ */
+export function nearestNeighbours(vocabData, word, count = 10) {
+  const { words, vectors, dims } = vocabData;
+  const target = words.indexOf(word);
+  if (target < 0) return [];
+  return nearestToVector(vocabData, vectors.subarray(target * dims, (target + 1) * dims), count, new Set([word]));
+}
+
+/**
+ * The vocabulary words closest to any unit vector — the result of an
+ * analogy, say. Junk tokens are skipped, as they are for selection.
+ *
+ * @param {{ words: string[], vectors: Float32Array, dims: number }} vocabData
+ * @param {Float32Array} vector - unit length
+ * @param {number} [count]
+ * @param {Set<string>} [exclude] - words to leave out
+ * @returns {Array<{word: string, similarity: number}>} most similar first
+ */
+export function nearestToVector(vocabData, vector, count = 10, exclude = new Set()) {
+  const { words, vectors, dims } = vocabData;
+
+  // Rows are unit length, so the dot product is the cosine
+  const best = [];
+  for (let i = 0; i < words.length; i++) {
+    if (exclude.has(words[i]) || !isQualityWord(words[i])) continue;
+    const r = i * dims;
+    let sim = 0;
+    for (let d = 0; d < dims; d++) sim += vectors[r + d] * vector[d];
+    if (best.length === count && sim <= best[count - 1].similarity) continue;
+
+    // Insert in order; the list is short
+    let at = best.length;
+    while (at > 0 && best[at - 1].similarity < sim) at--;
+    best.splice(at, 0, { word: words[i], similarity: sim });
+    if (best.length > count) best.pop();
+  }
+  return best;
+}
+
+/**
+ * Vocabulary words starting with a prefix, most frequent first. Unlike
+ * selection this keeps every token — a search should find what it asks
+ * for.
+ *
+ * @param {{ words: string[] }} vocabData
+ * @param {string} prefix
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+export function completeWord(vocabData, prefix, count = 8) {
+  const needle = prefix.trim().toLowerCase();
+  if (!needle) return [];
+  const matches = [];
+  for (const word of vocabData.words) {
+    if (word.toLowerCase().startsWith(needle)) {
+      matches.push(word);
+      if (matches.length === count) break;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Cosine of each of a set of words to one word, in the full embedding
+ * space.
+ *
+ * @param {{ words: string[], vectors: Float32Array, dims: number }} vocabData
+ * @param {string} word
+ * @param {number[]} indices - vocabulary indices of the words to compare
+ * @returns {Float32Array|null} in the order of indices; null if the word isn't in the vocabulary
+ */
+export function similarityToWord(vocabData, word, indices) {
+  const { words, vectors, dims } = vocabData;
+  const target = words.indexOf(word);
+  if (target < 0) return null;
+
+  // Rows are unit length, so the dot product is the cosine
+  const t = target * dims;
+  const out = new Float32Array(indices.length);
+  indices.forEach((idx, i) => {
+    const r = idx * dims;
+    let sim = 0;
+    for (let d = 0; d < dims; d++) sim += vectors[r + d] * vectors[t + d];
+    out[i] = sim;
+  });
+  return out;
 }
 
 /**
  * Get axis beacon positions based on the actual extent of projected words.
  * Places beacons just beyond the furthest word on each axis.
+ *
+ * Reads x/y/z, so the words must already be placed in a slice
+ * (see applySlice in slices.js).
  */
 export function getBeaconPositions(axes, projectedWords) {
   let maxX = 0, minX = 0, maxY = 0, minY = 0, maxZ = 0, minZ = 0;
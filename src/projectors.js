@@ -0,0 +1,141 @@
+/**
+ * Projection formulas — how a word's pole similarities become its
+ * position on each axis.
+ *
+ * Every projector reads the same score matrix (cosine of each word to
+ * each pole, see scoreVocabulary), so switching formulas never costs
+ * another pass over the vocabulary. Word selection is shared too:
+ * the same axis poles show the same words under every projector, only
+ * their layout differs.
+ *
+ * A projector declares how its raw coordinates are scaled afterwards:
+ *   stddev  each axis divided by its own standard deviation
+ *   shared  all axes divided by one pooled standard deviation, so an
+ *           axis that barely separates the words stays visibly thin
+ *   rank    each axis replaced by its quantile, spread evenly
+ */
+
+export const DEFAULT_PROJECTOR = 'cosine';
+
+// Softmax temperature for pole affinity. Cosines between a word and
+// its poles differ by a few hundredths, so this has to be small for
+// the strongest pole to dominate.
+const AFFINITY_TEMPERATURE = 0.05;
+
+/**
+ * Length of each axis direction (A+ - A-) in the axis matrix.
+ */
+function directionNorms(axisMatrix, dims) {
+  const pairs = axisMatrix.length / dims / 2;
+  const norms = [];
+  for (let a = 0; a < pairs; a++) {
+    const pos = (2 * a) * dims;
+    const neg = (2 * a + 1) * dims;
+    let sum = 0;
+    for (let d = 0; d < dims; d++) {
+      const diff = axisMatrix[pos + d] - axisMatrix[neg + d];
+      sum += diff * diff;
+    }
+    norms.push(Math.sqrt(sum) || 1);
+  }
+  return norms;
+}
+
+/**
+ * cos(W, A+) - cos(W, A-) for each axis — the original formula.
+ */
+function cosineDifference() {
+  return (scores, i, P) => {
+    const o = i * P;
+    const out = [];
+    for (let p = 0; p < P; p += 2) out.push(scores[o + p] - scores[o + p + 1]);
+    return out;
+  };
+}
+
+/**
+ * W · (A+ - A-) / |A+ - A-|: the scalar projection onto the axis
+ * direction. Word rows are unit length, so this is the cosine
+ * difference over the direction's length.
+ */
+function directionProjection(axisMatrix, dims) {
+  const norms = directionNorms(axisMatrix, dims);
+  return (scores, i, P) => {
+    const o = i * P;
+    const out = [];
+    for (let p = 0; p < P; p += 2) out.push((scores[o + p] - scores[o + p + 1]) / norms[p / 2]);
+    return out;
+  };
+}
+
+/**
+ * Softmax over all poles, then w(A+) - w(A-) per axis. A word that
+ * belongs firmly to one pole sits out towards it and near zero on the
+ * other axes, instead of being pulled along every axis at once.
+ */
+function poleAffinity() {
+  return (scores, i, P) => {
+    const o = i * P;
+    let max = -Infinity;
+    for (let p = 0; p < P; p++) max = Math.max(max, scores[o + p]);
+    const weights = [];
+    let total = 0;
+    for (let p = 0; p < P; p++) {
+      const w = Math.exp((scores[o + p] - max) / AFFINITY_TEMPERATURE);
+      weights.push(w);
+      total += w;
+    }
+    const out = [];
+    for (let p = 0; p < P; p += 2) out.push((weights[p] - weights[p + 1]) / total);
+    return out;
+  };
+}
+
+/**
+ * Registered projectors, in the order the setup screen lists them.
+ * `bind(axisMatrix, dims)` returns coords(scores, i, P) → one value per axis.
+ */
+export const PROJECTORS = [
+  {
+    id: 'cosine',
+    label: 'Cosine difference',
+    description: 'cos(W, A+) − cos(W, A−), each axis scaled to the same spread',
+    normalize: 'stddev',
+    bind: cosineDifference,
+  },
+  {
+    id: 'direction',
+    label: 'Axis direction',
+    description: 'Dot product onto the normalized A+ − A− direction, keeping the axes\' relative spread',
+    normalize: 'shared',
+    bind: directionProjection,
+  },
+  {
+    id: 'affinity',
+    label: 'Pole affinity',
+    description: 'Softmax-weighted affinity to every pole — words snap towards their strongest pole',
+    normalize: 'stddev',
+    bind: poleAffinity,
+  },
+  {
+    id: 'rank',
+    label: 'Rank',
+    description: 'Cosine difference replaced by its quantile — an even spread with no crowded core',
+    normalize: 'rank',
+    bind: cosineDifference,
+  },
+];
+
+/**
+ * Look up a projector by id.
+ *
+ * @param {string} [id] - defaults to DEFAULT_PROJECTOR
+ * @returns {{ id: string, label: string, description: string, normalize: string, bind: Function }}
+ */
+export function getProjector(id = DEFAULT_PROJECTOR) {
+  const projector = PROJECTORS.find(p => p.id === id);
+  if (!projector) {
+    throw new Error(`Unknown projector "${id}" — expected one of ${PROJECTORS.map(p => p.id).join(', ')}.`);
+  }
+  return projector;
+}
@@ -0,0 +1,215 @@
+/**
+ * Embedding providers — interchangeable backends that turn the user's
+ * axis words into vectors.
+ *
+ * Every provider has the same shape:
+ *   {
+ *     id: string,                 // 'live' | 'local' | 'vocab'
+ *     label: string,              // human-readable, shown on the setup screen
+ *     model: string | null,       // model name once loaded
+ *     dims: number | null,        // output dimensionality once loaded
+ *     load(progressCallback),     // resolves when ready, throws if unavailable
+ *     embed(words),               // → Promise<Float32Array[]>
+ *   }
+ *
+ * Providers:
+ *   - live:  Transformers.js model fetched from the Hugging Face hub
+ *   - local: the same ONNX models, but served from our own /models path
+ *   - vocab: no model at all — reuses the pre-computed row from
+ *            embeddings.bin for words already in vocab.json
+ */
+
+import { pipeline, env } from '@huggingface/transformers';
+
+export const DEFAULT_MODELS = [
+  'Xenova/all-mpnet-base-v2',
+  'Xenova/all-MiniLM-L6-v2',
+];
+
+const LOCAL_MODEL_PATH = '/models/';
+
+/**
+ * Try each model in turn and return the first pipeline that loads.
+ */
+async function loadFirstPipeline(models, options, progressCallback) {
+  for (const modelName of models) {
+    try {
+      console.log(`Loading model: ${modelName}`);
+      const extractor = await pipeline('feature-extraction', modelName, {
+        ...options,
+        progress_callback: (data) => {
+          // Transformers.js progress events have { status, progress, ... }
+          if (data.status === 'progress' && typeof data.progress === 'number') {
+            if (progressCallback) progressCallback(data.progress / 100);
+          }
+        },
+      });
+      console.log(`Model loaded: ${modelName}`);
+      return { extractor, modelName };
+    } catch (err) {
+      console.warn(`Failed to load ${modelName}:`, err);
+    }
+  }
+  throw new Error(`Could not load any of: ${models.join(', ')}.`);
+}
+
+/**
+ * Shared embed() for the transformer-backed providers.
+ */
+async function embedWithPipeline(extractor, words) {
+  const results = [];
+  for (const word of words) {
+    const output = await extractor(word, { pooling: 'mean', normalize: true });
+    // output.data is a flat Float32Array; output.dims tells us the shape
+    results.push(new Float32Array(output.data));
+  }
+  return results;
+}
+
+/**
+ * Embed a throwaway word to learn the model's output dimensionality.
+ */
+async function probeDims(extractor) {
+  const [vec] = await embedWithPipeline(extractor, ['probe']);
+  return vec.length;
+}
+
+/**
+ * Live transformer downloaded from the Hugging Face hub.
+ *
+ * @param {string[]} models - model names to try, in order
+ */
+export function createLiveProvider(models = DEFAULT_MODELS) {
+  let extractor = null;
+
+  return {
+    id: 'live',
+    label: 'Live transformer',
+    model: null,
+    dims: null,
+
+    async load(progressCallback) {
+      env.allowLocalModels = false;
+      env.allowRemoteModels = true;
+      // Weights persist in Cache Storage ("transformers-cache") between visits
+      env.useBrowserCache = true;
+      const loaded = await loadFirstPipeline(models, {}, progressCallback);
+      extractor = loaded.extractor;
+      this.model = loaded.modelName;
+      this.dims = await probeDims(extractor);
+    },
+
+    async embed(words) {
+      return embedWithPipeline(extractor, words);
+    },
+  };
+}
+
+/**
+ * The same ONNX models, loaded from files served under /models
+ * (e.g. /models/Xenova/all-mpnet-base-v2/onnx/model.onnx). Never
+ * touches the network beyond our own origin.
+ *
+ * @param {string[]} models - model names to try, in order
+ */
+export function createLocalProvider(models = DEFAULT_MODELS) {
+  let extractor = null;
+
+  return {
+    id: 'local',
+    label: 'Local ONNX model',
+    model: null,
+    dims: null,
+
+    async load(progressCallback) {
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      env.localModelPath = LOCAL_MODEL_PATH;
+      const loaded = await loadFirstPipeline(models, { local_files_only: true }, progressCallback);
+      extractor = loaded.extractor;
+      this.model = loaded.modelName;
+      this.dims = await probeDims(extractor);
+    },
+
+    async embed(words) {
+      return embedWithPipeline(extractor, words);
+    },
+  };
+}
+
+/**
+ * Model-free provider: looks each word up in the pre-computed vocabulary
+ * and returns a copy of its row. Only works for words that are already
+ * in vocab.json, but needs no download and no inference. Phrases are
+ * approximated by averaging their words' rows.
+ *
+ * Its vectors are by definition in the vocabulary's own embedding space,
+ * so it reports the manifest's model and dims as its own.
+ *
+ * @param {() => ({ words: string[], vectors: Float32Array, dims: number } | null)} getVocabulary
+ * @param {{ model: string, dims: number } | null} manifest
+ */
+export function createVocabProvider(getVocabulary, manifest = null) {
+  let indexByWord = null;
+  let indexedFor = null;
+
+  function lookupIndex(vocab) {
+    if (indexedFor !== vocab) {
+      indexByWord = new Map();
+      vocab.words.forEach((w, i) => {
+        if (!indexByWord.has(w)) indexByWord.set(w, i);
+      });
+      indexedFor = vocab;
+    }
+    return indexByWord;
+  }
+
+  return {
+    id: 'vocab',
+    label: 'Vocabulary lookup (offline)',
+    model: manifest ? manifest.model : null,
+    dims: manifest ? manifest.dims : null,
+
+    async load(progressCallback) {
+      // Nothing to download — rows come from embeddings.bin
+      if (progressCallback) progressCallback(1);
+    },
+
+    async embed(words) {
+      const vocab = getVocabulary();
+      if (!vocab) {
+        throw new Error('Vocabulary not loaded yet — the offline lookup needs embeddings.bin.');
+      }
+      const index = lookupIndex(vocab);
+
+      const row = (word) => {
+        const i = index.get(word);
+        if (i === undefined) {
+          throw new Error(
+            `"${word}" is not in the vocabulary. ` +
+            'Offline mode can only use words that are already in vocab.json.'
+          );
+        }
+        return vocab.vectors.subarray(i * vocab.dims, (i + 1) * vocab.dims);
+      };
+
+      return words.map((text) => {
+        if (index.has(text)) return new Float32Array(row(text));
+
+        // Phrases: approximate with the normalized mean of their words' rows
+        const parts = text.split(/\s+/);
+        if (parts.length === 1) row(text); // throws the not-in-vocabulary error
+        const out = new Float32Array(vocab.dims);
+        for (const part of parts) {
+          const vec = row(part);
+          for (let d = 0; d < out.length; d++) out[d] += vec[d];
+        }
+        let norm = 0;
+        for (let d = 0; d < out.length; d++) norm += out[d] * out[d];
+        norm = Math.sqrt(norm) || 1;
+        for (let d = 0; d < out.length; d++) out[d] /= norm;
+        return out;
+      });
+    },
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Seeded pseudo-random numbers, so anything sampled (word selection,
+ * cluster seeding) comes out the same for everyone opening a shared
+ * link.
+ */
+
+/**
+ * Mulberry32: a small, fast 32-bit generator.
+ *
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+export function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Seed chip input — turns a setup-screen text input into a list of
+ * seed chips for one pole.
+ *
+ * Type a seed and press Enter or comma to add it as a chip; Backspace
+ * in an empty input removes the last chip. The first chip is the
+ * primary seed, which names the pole's beacon. Seeds the last launch
+ * trimmed as outliers are struck through.
+ */
+
+import { parseExpression } from './expression.js';
+
+/**
+ * Split text on commas into trimmed, non-empty seeds.
+ */
+function splitSeeds(text) {
+  return text.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * A seed's label as the engine reports it, or null if it doesn't parse.
+ */
+function seedLabel(seed) {
+  try {
+    return parseExpression(seed).label;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Wrap an existing input element with a chip list. The input's initial
+ * value (comma-separated) becomes the initial chips.
+ *
+ * @param {HTMLInputElement} input
+ * @returns {{ getSeeds: () => string[], setSeeds: (seeds: string[]) => void, markTrimmed: (labels: string[]) => void }}
+ */
+export function createSeedInput(input) {
+  const field = document.createElement('div');
+  field.className = 'seed-field';
+  input.parentNode.insertBefore(field, input);
+
+  const chipList = document.createElement('div');
+  chipList.className = 'seed-chips';
+  field.appendChild(chipList);
+  field.appendChild(input);
+
+  const placeholder = input.placeholder;
+  let seeds = splitSeeds(input.value);
+  let trimmed = new Set();  // seed labels trimmed as outliers
+  input.value = '';
+
+  function render() {
+    chipList.replaceChildren();
+    seeds.forEach((seed, i) => {
+      const chip = document.createElement('span');
+      chip.className = i === 0 ? 'seed-chip seed-chip-primary' : 'seed-chip';
+      chip.textContent = seed;
+      if (trimmed.has(seedLabel(seed))) {
+        chip.classList.add('seed-chip-trimmed');
+        chip.title = 'Trimmed as an outlier — too far from the other seeds to shape the pole';
+      }
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'seed-chip-remove';
+      remove.textContent = '×';
+      remove.title = `Remove "${seed}"`;
+      remove.addEventListener('click', () => {
+        seeds.splice(i, 1);
+        render();
+        input.focus();
+      });
+
+      chip.appendChild(remove);
+      chipList.appendChild(chip);
+    });
+    input.placeholder = seeds.length ? '+ seed' : placeholder;
+  }
+
+  function commit() {
+    const added = splitSeeds(input.value);
+    if (added.length) {
+      seeds.push(...added);
+      input.value = '';
+      render();
+    }
+  }
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      commit();
+    } else if (e.key === 'Backspace' && input.value === '' && seeds.length) {
+      seeds.pop();
+      render();
+    }
+  });
+
+  // Pasted "hot, warm, scorching" becomes three chips
+  input.addEventListener('input', () => {
+    if (input.value.includes(',')) commit();
+  });
+
+  input.addEventListener('blur', commit);
+
+  // Clicking anywhere in the field focuses the text input
+  field.addEventListener('click', (e) => {
+    if (e.target === field || e.target === chipList) input.focus();
+  });
+
+  render();
+
+  return {
+    /**
+     * All seeds, including any text still being typed.
+     */
+    getSeeds() {
+      return [...seeds, ...splitSeeds(input.value)];
+    },
+
+    setSeeds(list) {
+      seeds = [...list];
+      input.value = '';
+      render();
+    },
+
+    /**
+     * Strike through the chips whose seeds were trimmed, by label
+     * (from the launch diagnostics); an empty list clears the marks.
+     */
+    markTrimmed(labels) {
+      trimmed = new Set(labels);
+      render();
+    },
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * The selected word — one piece of state shared by everything that
+ * reacts to a pick (the explanation panel, fly-to, bookmarks, ...).
+ *
+ * Subscribers are called with the new word (or null) whenever the
+ * selection changes.
+ */
+
+/**
+ * @returns {{ get: () => string|null, select: (word: string|null) => void, subscribe: (fn: (word: string|null) => void) => () => void }}
+ */
+export function createWordSelection() {
+  let selected = null;
+  const listeners = new Set();
+
+  return {
+    get() {
+      return selected;
+    },
+
+    /**
+     * Select a word, or clear the selection with null.
+     */
+    select(word) {
+      if (word === selected) return;
+      selected = word;
+      for (const fn of listeners) fn(word);
+    },
+
+    /**
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Session — the launch settings that define a universe, kept in the
+ * URL hash so a link reproduces it exactly.
+ *
+ *   #v=2&n1=love&p1=hate,loathing&n2=...&projector=rank&ortho=1&slice=0,2,3
+ *   &select=mmr&count=5000&include=tea,coffee&exclude=the&clusters=8
+ *   &marks=tea,coffee&guests=samovar&color=similarity&query=tea
+ *
+ * Axis a's negative and positive poles are n<a> and p<a>, numbered from
+ * 1 in setup order. Seeds within a pole are comma-separated (the seed
+ * input never lets a seed contain a comma). Two people comparing
+ * projections only need to swap the projector in otherwise identical
+ * links. Bookmarked words (marks), words searched for and placed in the
+ * cloud (guests) and the colour mode travel with the link too; the
+ * colour mode defaults to clusters when clusters are on.
+ */
+
+import { MIN_AXES, MAX_AXES } from './projection.js';
+import { DEFAULT_PROJECTOR } from './projectors.js';
+import { DEFAULT_STRATEGY, DEFAULT_WORD_COUNT } from './strategies.js';
+import { MIN_CLUSTERS, MAX_CLUSTERS } from './clustering.js';
+import { COLOR_MODES, DEFAULT_COLOR_MODE } from './colormodes.js';
+
+const SESSION_VERSION = 2;
+
+// Version 1 links had exactly three axes with named poles
+const V1_POLES = [['xNeg', 'xPos'], ['yNeg', 'yPos'], ['zNeg', 'zPos']];
+
+/**
+ * The colour mode a session has when its link doesn't name one.
+ */
+function defaultColorMode(options) {
+  return options.clusters ? 'cluster' : DEFAULT_COLOR_MODE;
+}
+
+function splitSeeds(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Encode launch settings as a URL hash (without the leading '#').
+ *
+ * @param {{ axes: Array<{ pos: string[], neg: string[] }>, options: { projector?: string, orthogonalize?: boolean, trimOutliers?: boolean, selection?: object, clusters?: number }, slice?: number[], bookmarks?: string[], guests?: string[], colorMode?: string, query?: string|null }} session
+ * @returns {string}
+ */
+export function encodeSession({ axes, options, slice, bookmarks = [], guests = [], colorMode, query }) {
+  const params = new URLSearchParams();
+  params.set('v', SESSION_VERSION);
+  axes.forEach(({ pos, neg }, a) => {
+    params.set(`n${a + 1}`, neg.join(','));
+    params.set(`p${a + 1}`, pos.join(','));
+  });
+  params.set('projector', options.projector || DEFAULT_PROJECTOR);
+  if (options.orthogonalize) params.set('ortho', '1');
+  if (options.trimOutliers) params.set('trim', '1');
+
+  // Word selection, only where it differs from the defaults
+  const { strategy, count, include = [], exclude = [] } = options.selection || {};
+  if (strategy && strategy !== DEFAULT_STRATEGY) params.set('select', strategy);
+  if (count && count !== DEFAULT_WORD_COUNT) params.set('count', count);
+  if (include.length) params.set('include', include.join(','));
+  if (exclude.length) params.set('exclude', exclude.join(','));
+  if (options.clusters) params.set('clusters', options.clusters);
+
+  if (slice) params.set('slice', slice.join(','));
+  if (bookmarks.length) params.set('marks', bookmarks.join(','));
+  if (guests.length) params.set('guests', guests.join(','));
+  if (colorMode && colorMode !== defaultColorMode(options)) params.set('color', colorMode);
+  if (colorMode === 'similarity' && query) params.set('query', query);
+  return params.toString();
+}
+
+/**
+ * Decode launch settings from a URL hash. Returns null when the hash
+ * holds no usable session.
+ *
+ * @param {string} hash - location.hash, with or without the '#'
+ * @returns {{ axes: Array<{ pos: string[], neg: string[] }>, options: { projector: string, orthogonalize: boolean, trimOutliers: boolean, selection: object, clusters: number }, slice: number[]|null, bookmarks: string[], guests: string[], colorMode: string, query: string|null } | null}
+ */
+export function decodeSession(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const version = params.get('v');
+
+  const axes = [];
+  if (version === '1') {
+    for (const [neg, pos] of V1_POLES) {
+      axes.push({ neg: splitSeeds(params.get(neg)), pos: splitSeeds(params.get(pos)) });
+    }
+  } else if (version === String(SESSION_VERSION)) {
+    for (let a = 1; a <= MAX_AXES && params.has(`n${a}`); a++) {
+      axes.push({ neg: splitSeeds(params.get(`n${a}`)), pos: splitSeeds(params.get(`p${a}`)) });
+    }
+  } else {
+    return null;
+  }
+  if (axes.length < MIN_AXES || axes.some(({ pos, neg }) => !pos.length || !neg.length)) return null;
+
+  // A slice is three distinct axis indices that exist in this session
+  let slice = params.has('slice') ? params.get('slice').split(',').map(Number) : null;
+  if (slice && (slice.length !== 3 || new Set(slice).size !== 3 ||
+      slice.some(i => !Number.isInteger(i) || i < 0 || i >= axes.length))) {
+    slice = null;
+  }
+
+  // Cluster count, or 0 for no clusters
+  let clusters = parseInt(params.get('clusters')) || 0;
+  if (clusters && (clusters < MIN_CLUSTERS || clusters > MAX_CLUSTERS)) clusters = 0;
+
+  // Colour by clusters only when there are clusters
+  let colorMode = params.get('color');
+  if (!COLOR_MODES.some(m => m.id === colorMode) || (colorMode === 'cluster' && !clusters)) {
+    colorMode = defaultColorMode({ clusters });
+  }
+
+  return {
+    axes,
+    options: {
+      projector: params.get('projector') || DEFAULT_PROJECTOR,
+      orthogonalize: params.get('ortho') === '1',
+      trimOutliers: params.get('trim') === '1',
+      selection: {
+        strategy: params.get('select') || DEFAULT_STRATEGY,
+        count: parseInt(params.get('count')) || DEFAULT_WORD_COUNT,
+        include: splitSeeds(params.get('include')),
+        exclude: splitSeeds(params.get('exclude')),
+      },
+      clusters,
+    },
+    slice,
+    bookmarks: splitSeeds(params.get('marks')),
+    guests: splitSeeds(params.get('guests')),
+    colorMode,
+    query: params.get('query') || null,
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * 3D slices through N-axis word space.
+ *
+ * Every word has a coordinate on each of the N axis pairs; a slice is
+ * the three of them ([x, y, z] axis indices) mapped onto the flown
+ * space. The minimap, gauges, beacons and HUD all read the slice's
+ * labels in the same { xPos, xNeg, ... } shape they always have.
+ */
+
+/**
+ * Every slice for N axes: each combination of three, in order, so the
+ * first slice is always the first three axes as entered.
+ *
+ * @param {number} axisCount
+ * @returns {Array<[number, number, number]>}
+ */
+export function listSlices(axisCount) {
+  const slices = [];
+  for (let i = 0; i < axisCount; i++) {
+    for (let j = i + 1; j < axisCount; j++) {
+      for (let k = j + 1; k < axisCount; k++) slices.push([i, j, k]);
+    }
+  }
+  return slices;
+}
+
+/**
+ * Pole labels for a slice, in the shape the scene modules expect.
+ *
+ * @param {Array<{ pos: string, neg: string }>} axisLabels - one entry per axis
+ * @param {[number, number, number]} slice
+ * @returns {{ xPos: string, xNeg: string, yPos: string, yNeg: string, zPos: string, zNeg: string }}
+ */
+export function sliceAxes(axisLabels, [x, y, z]) {
+  return {
+    xPos: axisLabels[x].pos,
+    xNeg: axisLabels[x].neg,
+    yPos: axisLabels[y].pos,
+    yNeg: axisLabels[y].neg,
+    zPos: axisLabels[z].pos,
+    zNeg: axisLabels[z].neg,
+  };
+}
+
+/**
+ * Place projected words in a slice by setting x/y/z from their
+ * per-axis coordinates. Mutates and returns the words.
+ *
+ * @param {Array<{ coords: number[] }>} projectedWords
+ * @param {[number, number, number]} slice
+ * @returns {Array<{ coords: number[], x: number, y: number, z: number }>}
+ */
+export function applySlice(projectedWords, [x, y, z]) {
+  for (const w of projectedWords) {
+    w.x = w.coords[x];
+    w.y = w.coords[y];
+    w.z = w.coords[z];
+  }
+  return projectedWords;
+}
@@ -0,0 +1,161 @@
+/**
+ * Uniform grid over the word positions, so distance queries only look
+ * at the words in nearby cells instead of the whole cloud.
+ *
+ * Items are anything with a `position` (THREE.Vector3). The grid holds
+ * references, not copies: after items move, call rebuild().
+ */
+
+// Cell coordinates are packed into one exact integer key; the grid
+// covers ±CELL_OFFSET cells on each axis
+const CELL_OFFSET = 1024;
+const CELL_SPAN = 2 * CELL_OFFSET;
+
+function clampCell(c) {
+  return Math.max(-CELL_OFFSET, Math.min(CELL_OFFSET - 1, c));
+}
+
+function cellKey(ix, iy, iz) {
+  return ((ix + CELL_OFFSET) * CELL_SPAN + (iy + CELL_OFFSET)) * CELL_SPAN + (iz + CELL_OFFSET);
+}
+
+/**
+ * Create an empty grid index.
+ *
+ * @param {number} [cellSize] - edge of a cell in world units
+ * @returns {object} index with rebuild, forEachInRadius, nearest, forEachAlongRay
+ */
+export function createSpatialIndex(cellSize = 20) {
+  const cells = new Map(); // key → items
+  // Occupied cell range, so queries never walk empty space
+  const lo = [0, 0, 0];
+  const hi = [-1, -1, -1];
+
+  const toCell = v => clampCell(Math.floor(v / cellSize));
+
+  /**
+   * Call visit(items) for every occupied cell in a cell-coordinate box.
+   */
+  function forEachCell(x0, y0, z0, x1, y1, z1, visit) {
+    x0 = Math.max(x0, lo[0]); x1 = Math.min(x1, hi[0]);
+    y0 = Math.max(y0, lo[1]); y1 = Math.min(y1, hi[1]);
+    z0 = Math.max(z0, lo[2]); z1 = Math.min(z1, hi[2]);
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iy = y0; iy <= y1; iy++) {
+        for (let iz = z0; iz <= z1; iz++) {
+          const key = cellKey(ix, iy, iz);
+          const items = cells.get(key);
+          if (items) visit(items, key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Distance from a point to the far corner of the occupied cells —
+   * no query from there needs a larger radius.
+   */
+  function farthestReach(center) {
+    const p = [center.x, center.y, center.z];
+    let sum = 0;
+    for (let a = 0; a < 3; a++) {
+      const d = Math.max(Math.abs(p[a] - lo[a] * cellSize), Math.abs(p[a] - (hi[a] + 1) * cellSize));
+      sum += d * d;
+    }
+    return Math.sqrt(sum);
+  }
+
+  function forEachInRadius(center, radius, fn) {
+    const r2 = radius * radius;
+    forEachCell(
+      toCell(center.x - radius), toCell(center.y - radius), toCell(center.z - radius),
+      toCell(center.x + radius), toCell(center.y + radius), toCell(center.z + radius),
+      (items) => {
+        for (const item of items) {
+          const d2 = item.position.distanceToSquared(center);
+          if (d2 <= r2) fn(item, d2);
+        }
+      },
+    );
+  }
+
+  return {
+    /**
+     * Re-index items from their current positions.
+     *
+     * @param {Array<{ position: THREE.Vector3 }>} items
+     */
+    rebuild(items) {
+      cells.clear();
+      lo.fill(Infinity);
+      hi.fill(-Infinity);
+      for (const item of items) {
+        const { x, y, z } = item.position;
+        const c = [toCell(x), toCell(y), toCell(z)];
+        for (let a = 0; a < 3; a++) {
+          if (c[a] < lo[a]) lo[a] = c[a];
+          if (c[a] > hi[a]) hi[a] = c[a];
+        }
+        const key = cellKey(c[0], c[1], c[2]);
+        const bucket = cells.get(key);
+        if (bucket) bucket.push(item);
+        else cells.set(key, [item]);
+      }
+    },
+
+    /**
+     * Call fn(item, squaredDistance) for every item within radius.
+     */
+    forEachInRadius,
+
+    /**
+     * The count nearest items passing filter, nearest first. Searches
+     * outward in growing spheres until enough are found.
+     *
+     * @returns {Array<{ item: object, distance: number }>}
+     */
+    nearest(center, count, filter = () => true) {
+      if (cells.size === 0) return [];
+      const limit = farthestReach(center);
+      let found = [];
+      for (let radius = cellSize; ; radius *= 2) {
+        found = [];
+        forEachInRadius(center, radius, (item, d2) => {
+          if (filter(item)) found.push({ item, d2 });
+        });
+        if (found.length >= count || radius >= limit) break;
+      }
+      found.sort((a, b) => a.d2 - b.d2);
+      return found.slice(0, count).map(({ item, d2 }) => ({ item, distance: Math.sqrt(d2) }));
+    },
+
+    /**
+     * Call fn(item) once for every item within `reach` of a ray, out to
+     * maxDistance along it. Callers test the exact hit themselves.
+     *
+     * @param {THREE.Vector3} origin
+     * @param {THREE.Vector3} direction - unit length
+     * @param {number} maxDistance
+     * @param {number} reach - how far from the ray an item can still be hit
+     * @param {(item: object) => void} fn
+     */
+    forEachAlongRay(origin, direction, maxDistance, reach, fn) {
+      const visited = new Set();
+      const step = cellSize / 2;
+      for (let t = 0; t <= maxDistance + step; t += step) {
+        const x = origin.x + direction.x * t;
+        const y = origin.y + direction.y * t;
+        const z = origin.z + direction.z * t;
+        forEachCell(
+          toCell(x - reach), toCell(y - reach), toCell(z - reach),
+          toCell(x + reach), toCell(y + reach), toCell(z + reach),
+          (items, key) => {
+            if (visited.has(key)) return;
+            visited.add(key);
+            for (const item of items) fn(item);
+          },
+        );
+      }
+    },
+  };
+}
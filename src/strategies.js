@@ -0,0 +1,194 @@
+/**
+ * Word selection strategies — which of the eligible vocabulary words
+ * make it into the cloud.
+ *
+ * selectWordsForAxes() (projection.js) filters the vocabulary and
+ * computes each word's axis magnitude; a strategy then picks `count`
+ * of the eligible words. Candidates arrive sorted by magnitude,
+ * strongest first.
+ */
+
+import { mulberry32 } from './random.js';
+
+export const DEFAULT_STRATEGY = 'magnitude';
+export const DEFAULT_WORD_COUNT = 7000;
+
+// MMR: balance of relevance (magnitude) against redundancy, the pool
+// it picks from (as a multiple of count), and the kernel width in
+// per-axis standard deviations
+const MMR_LAMBDA = 0.6;
+const MMR_POOL = 2;
+const MMR_BANDWIDTH = 0.15;
+
+// Deterministic sampling so a shared session shows the same words
+const SAMPLE_SEED = 1;
+
+/**
+ * The strongest words along the axes — the original behaviour.
+ */
+function byMagnitude({ candidates, count }) {
+  return candidates.slice(0, count);
+}
+
+/**
+ * Maximal marginal relevance: pick greedily by
+ *   λ · relevance − (1 − λ) · max similarity to the words already picked
+ * so one dense clump of near-synonyms can't fill the whole budget.
+ *
+ * Similarity is a Gaussian kernel on the words' axis coordinates —
+ * the space being flown, where a clump crowds the view — which keeps
+ * each pick O(pool × axes) rather than O(pool × embedding dims).
+ */
+function maximalMarginalRelevance({ candidates, count, mags, scores, P }) {
+  const strongest = candidates.slice(0, count * MMR_POOL);
+  const m = strongest.length;
+  if (m <= count) return strongest;
+  const N = P / 2;
+
+  // Keep the pool sorted along the first axis, so each update only has
+  // to visit the candidates within the kernel's reach on that axis
+  const first = (idx) => scores[idx * P] - scores[idx * P + 1];
+  const pool = strongest.slice().sort((a, b) => first(a) - first(b));
+
+  // Pool coordinates, each axis scaled to unit spread
+  const coords = new Float32Array(m * N);
+  for (let a = 0; a < N; a++) {
+    let sum = 0;
+    let sumSq = 0;
+    for (let j = 0; j < m; j++) {
+      const o = pool[j] * P + 2 * a;
+      const v = scores[o] - scores[o + 1];
+      coords[j * N + a] = v;
+      sum += v;
+      sumSq += v * v;
+    }
+    const mean = sum / m;
+    const sd = Math.sqrt(Math.max(sumSq / m - mean * mean, 0)) || 1;
+    for (let j = 0; j < m; j++) coords[j * N + a] /= sd;
+  }
+
+  const maxMag = mags[strongest[0]] || 1;
+  const relevance = Float32Array.from(pool, idx => mags[idx] / maxMag);
+  const maxSim = new Float32Array(m);
+  const taken = new Uint8Array(m);
+  const twoH2 = 2 * MMR_BANDWIDTH * MMR_BANDWIDTH;
+  const cutoff = 9 * twoH2; // beyond 3 bandwidths the kernel is ~0
+  const reach = Math.sqrt(cutoff);
+
+  // First pool position whose first coordinate is >= x
+  const lowerBound = (x) => {
+    let lo = 0;
+    let hi = m;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (coords[mid * N] < x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  const picked = [];
+  for (let k = 0; k < count; k++) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (let j = 0; j < m; j++) {
+      if (taken[j]) continue;
+      const score = MMR_LAMBDA * relevance[j] - (1 - MMR_LAMBDA) * maxSim[j];
+      if (score > bestScore) {
+        bestScore = score;
+        best = j;
+      }
+    }
+    taken[best] = 1;
+    picked.push(pool[best]);
+
+    // Update the similarity to the picked set of every candidate in reach
+    const ob = best * N;
+    const end = lowerBound(coords[ob] + reach);
+    for (let j = lowerBound(coords[ob] - reach); j < end; j++) {
+      if (taken[j]) continue;
+      const oj = j * N;
+      let d2 = 0;
+      for (let a = 0; a < N; a++) {
+        const diff = coords[oj + a] - coords[ob + a];
+        d2 += diff * diff;
+      }
+      if (d2 < cutoff) {
+        const sim = Math.exp(-d2 / twoH2);
+        if (sim > maxSim[j]) maxSim[j] = sim;
+      }
+    }
+  }
+  return picked;
+}
+
+/**
+ * Magnitude weighted by how common the word is. The vocabulary is in
+ * frequency order, so a word's index is its frequency rank.
+ */
+function byFrequency({ candidates, count, mags }) {
+  const weighted = candidates.map(idx => [idx, mags[idx] / Math.log2(2 + idx / 1000)]);
+  weighted.sort((a, b) => b[1] - a[1]);
+  return weighted.slice(0, count).map(([idx]) => idx);
+}
+
+/**
+ * A uniform random sample of the eligible words, ignoring magnitude —
+ * shows what the axes do to the vocabulary as a whole.
+ */
+function uniformSample({ candidates, count }) {
+  if (candidates.length <= count) return candidates.slice();
+  const rand = mulberry32(SAMPLE_SEED);
+  const pool = candidates.slice();
+  // Partial Fisher–Yates: the first `count` entries become the sample
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(rand() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+/**
+ * Registered strategies, in the order the setup screen lists them.
+ * `select({ candidates, count, mags, scores, P })` → vocabulary indices.
+ */
+export const SELECTION_STRATEGIES = [
+  {
+    id: 'magnitude',
+    label: 'Strongest',
+    description: 'The words pulled hardest along your axes',
+    select: byMagnitude,
+  },
+  {
+    id: 'mmr',
+    label: 'Diverse',
+    description: 'Strong words, but spread out — maximal marginal relevance stops one dense cluster dominating',
+    select: maximalMarginalRelevance,
+  },
+  {
+    id: 'frequency',
+    label: 'Common',
+    description: 'Strong words, favouring common ones over rare ones',
+    select: byFrequency,
+  },
+  {
+    id: 'uniform',
+    label: 'Random sample',
+    description: 'A uniform sample of the vocabulary, however weakly it sits on the axes',
+    select: uniformSample,
+  },
+];
+
+/**
+ * Look up a selection strategy by id.
+ *
+ * @param {string} [id] - defaults to DEFAULT_STRATEGY
+ * @returns {{ id: string, label: string, description: string, select: Function }}
+ */
+export function getStrategy(id = DEFAULT_STRATEGY) {
+  const strategy = SELECTION_STRATEGIES.find(s => s.id === id);
+  if (!strategy) {
+    throw new Error(`Unknown selection strategy "${id}" — expected one of ${SELECTION_STRATEGIES.map(s => s.id).join(', ')}.`);
+  }
+  return strategy;
+}
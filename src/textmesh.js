@@ -0,0 +1,450 @@
+/**
+ * Instanced text — every word in the cloud drawn by one mesh from one
+ * shared glyph atlas.
+ *
+ * The atlas is a signed distance field (SDF) of the printable ASCII
+ * glyphs, rendered once from the page's monospace font, so text stays
+ * crisp at any distance. Each instance is one word: a strip of
+ * MAX_CHARS glyph quads that always faces the camera, with per-instance
+ * position, colour, scale (world height) and opacity attributes.
+ * Changing any of those writes a few floats into a buffer — no
+ * per-word canvases, textures, materials or draw calls.
+ *
+ * Monospace keeps layout trivial: glyph k of a word sits k advances
+ * from its start, centred on the word's position.
+ */
+
+import * as THREE from 'three';
+
+const FONT_FAMILY = '"SF Mono", "Fira Code", "Consolas", monospace';
+const FONT_SIZE = 48;          // px, in the atlas
+const LINE_HEIGHT = 1.3;       // line box as a multiple of FONT_SIZE
+const SDF_RADIUS = 8;          // px of distance encoded either side of the edge
+const ATLAS_COLUMNS = 16;
+
+// "Infinitely far" for the distance transform; must stay finite so
+// differences of distances never become NaN
+const FAR = 1e20;
+
+// Longer words are cut short with an ellipsis
+export const MAX_CHARS = 16;
+const ELLIPSIS = '…';
+
+// Printable ASCII plus the ellipsis; anything else draws as '?'
+const GLYPHS = [...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)), ELLIPSIS];
+const GLYPH_INDEX = new Map(GLYPHS.map((g, i) => [g, i]));
+
+/**
+ * One-dimensional squared Euclidean distance transform
+ * (Felzenszwalb & Huttenlocher), in place along a row or column.
+ */
+function edt1d(grid, offset, stride, length, f, v, z) {
+  v[0] = 0;
+  z[0] = -FAR;
+  z[1] = FAR;
+  for (let q = 0; q < length; q++) f[q] = grid[offset + q * stride];
+
+  for (let q = 1, k = 0, s = 0; q < length; q++) {
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = FAR;
+  }
+
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    const qr = q - r;
+    grid[offset + q * stride] = f[r] + qr * qr;
+  }
+}
+
+/**
+ * Two-dimensional squared distance transform: columns, then rows.
+ */
+function edt(grid, width, height) {
+  const size = Math.max(width, height);
+  const f = new Float64Array(size);
+  const v = new Uint16Array(size);
+  const z = new Float64Array(size + 1);
+  for (let x = 0; x < width; x++) edt1d(grid, x, width, height, f, v, z);
+  for (let y = 0; y < height; y++) edt1d(grid, y * width, 1, width, f, v, z);
+}
+
+/**
+ * Render the glyphs into a single-channel SDF atlas. Values above 0.5
+ * are inside a glyph.
+ */
+function buildGlyphAtlas() {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.font = `${FONT_SIZE}px ${FONT_FAMILY}`;
+  const advance = ctx.measureText('M').width;
+
+  const cellWidth = Math.ceil(advance) + 2 * SDF_RADIUS;
+  const cellHeight = Math.ceil(FONT_SIZE * LINE_HEIGHT) + 2 * SDF_RADIUS;
+  const rows = Math.ceil(GLYPHS.length / ATLAS_COLUMNS);
+  const width = cellWidth * ATLAS_COLUMNS;
+  const height = cellHeight * rows;
+  canvas.width = width;
+  canvas.height = height;
+
+  // Re-set font after resize
+  ctx.font = `${FONT_SIZE}px ${FONT_FAMILY}`;
+  ctx.fillStyle = '#ffffff';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  GLYPHS.forEach((glyph, i) => {
+    const col = i % ATLAS_COLUMNS;
+    const row = Math.floor(i / ATLAS_COLUMNS);
+    ctx.fillText(glyph, (col + 0.5) * cellWidth, (row + 0.5) * cellHeight);
+  });
+
+  // Squared distances to the nearest pixel outside and inside the
+  // glyphs; anti-aliased edge pixels sit part-way between
+  const alpha = ctx.getImageData(0, 0, width, height).data;
+  const outer = new Float64Array(width * height);
+  const inner = new Float64Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const a = alpha[i * 4 + 3] / 255;
+    if (a === 1) {
+      outer[i] = 0;
+      inner[i] = FAR;
+    } else if (a === 0) {
+      outer[i] = FAR;
+      inner[i] = 0;
+    } else {
+      const d = 0.5 - a;
+      outer[i] = d > 0 ? d * d : 0;
+      inner[i] = d < 0 ? d * d : 0;
+    }
+  }
+  edt(outer, width, height);
+  edt(inner, width, height);
+
+  const data = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const d = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+    data[i] = Math.round(255 * Math.min(1, Math.max(0, 0.5 - d / (2 * SDF_RADIUS))));
+  }
+
+  const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.UnsignedByteType);
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = false;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+
+  const line = FONT_SIZE * LINE_HEIGHT;
+  return {
+    texture,
+    cellUv: new THREE.Vector2(cellWidth / width, cellHeight / height),
+    // Glyph advance and quad size, in line heights
+    advance: advance / line,
+    glyphSize: new THREE.Vector2(cellWidth / line, cellHeight / line),
+  };
+}
+
+let atlas = null;
+
+function getGlyphAtlas() {
+  if (!atlas) atlas = buildGlyphAtlas();
+  return atlas;
+}
+
+/**
+ * Atlas codes (index + 1, 0 = no glyph) for a word, cut to MAX_CHARS.
+ */
+function glyphCodes(word) {
+  let chars = [...word];
+  if (chars.length > MAX_CHARS) chars = [...chars.slice(0, MAX_CHARS - 1), ELLIPSIS];
+  const fallback = GLYPH_INDEX.get('?');
+  return chars.map(ch => (GLYPH_INDEX.get(ch) ?? fallback) + 1);
+}
+
+const VERTEX_SHADER = /* glsl */ `
+  attribute vec2 corner;
+  attribute float slot;
+  attribute vec3 wordPosition;
+  attribute vec3 wordColor;
+  attribute float wordScale;
+  attribute float wordOpacity;
+  attribute float wordLength;
+  attribute vec4 wordChars0;
+  attribute vec4 wordChars1;
+  attribute vec4 wordChars2;
+  attribute vec4 wordChars3;
+
+  uniform vec2 cellUv;
+  uniform vec2 glyphSize;
+  uniform float advance;
+  uniform float columns;
+
+  varying vec2 vUv;
+  varying vec3 vColor;
+  varying float vOpacity;
+
+  #include <common>
+  #include <fog_pars_vertex>
+
+  float pick4(vec4 v, float i) {
+    return dot(v, vec4(equal(vec4(i), vec4(0.0, 1.0, 2.0, 3.0))));
+  }
+
+  float glyphAt(float s) {
+    float group = floor(s / 4.0);
+    float i = s - group * 4.0;
+    if (group < 1.0) return pick4(wordChars0, i);
+    if (group < 2.0) return pick4(wordChars1, i);
+    if (group < 3.0) return pick4(wordChars2, i);
+    return pick4(wordChars3, i);
+  }
+
+  void main() {
+    float code = glyphAt(slot);
+    if (code < 0.5 || wordOpacity <= 0.0) {
+      // Unused slot or hidden word: collapse the quad
+      gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+      return;
+    }
+
+    float index = code - 1.0;
+    float row = floor(index / columns);
+    vec2 cell = vec2(index - row * columns, row);
+    vUv = (cell + vec2(corner.x, 1.0 - corner.y)) * cellUv;
+    vColor = wordColor;
+    vOpacity = wordOpacity;
+
+    // Billboard: lay the glyphs out in view space around the word's centre
+    vec4 mvPosition = modelViewMatrix * vec4(wordPosition, 1.0);
+    float h = wordScale;
+    mvPosition.x += (slot + 0.5 - wordLength * 0.5) * advance * h + (corner.x - 0.5) * glyphSize.x * h;
+    mvPosition.y += (corner.y - 0.5) * glyphSize.y * h;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <fog_vertex>
+  }
+`;
+
+const FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D atlas;
+
+  varying vec2 vUv;
+  varying vec3 vColor;
+  varying float vOpacity;
+
+  #include <common>
+  #include <fog_pars_fragment>
+
+  void main() {
+    float d = texture2D(atlas, vUv).r;
+    float s = max(fwidth(d) * 0.7, 1e-4);
+    float alpha = smoothstep(0.5 - s, 0.5 + s, d) * vOpacity;
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(vColor, alpha);
+
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`;
+
+/**
+ * Base geometry: MAX_CHARS unit quads, one per glyph slot.
+ */
+function buildGlyphStrip() {
+  const corners = [];
+  const slots = [];
+  const index = [];
+  for (let s = 0; s < MAX_CHARS; s++) {
+    corners.push(0, 0, 1, 0, 1, 1, 0, 1);
+    slots.push(s, s, s, s);
+    const v = s * 4;
+    index.push(v, v + 1, v + 2, v, v + 2, v + 3);
+  }
+  const geometry = new THREE.InstancedBufferGeometry();
+  geometry.setAttribute('corner', new THREE.Float32BufferAttribute(corners, 2));
+  geometry.setAttribute('slot', new THREE.Float32BufferAttribute(slots, 1));
+  geometry.setIndex(index);
+  return geometry;
+}
+
+// Per-instance attributes and their sizes
+const INSTANCE_ATTRIBUTES = {
+  wordPosition: 3,
+  wordColor: 3,
+  wordScale: 1,
+  wordOpacity: 1,
+  wordLength: 1,
+  wordChars0: 4,
+  wordChars1: 4,
+  wordChars2: 4,
+  wordChars3: 4,
+};
+
+/**
+ * Create an instanced text mesh. Words are addressed by instance
+ * index; removing one moves the last word into its place.
+ *
+ * Setters only write the buffers — call commit() once per frame to
+ * upload whatever changed.
+ *
+ * @param {number} [capacity] - initial number of words (grows as needed)
+ * @returns {object} text mesh with mesh, count, add, remove, setPosition,
+ *   setColor, setScale, setOpacity, commit, dispose
+ */
+export function createTextMesh(capacity = 1024) {
+  const { texture, cellUv, advance, glyphSize } = getGlyphAtlas();
+  const geometry = buildGlyphStrip();
+  const dirty = new Set();
+  let count = 0;
+
+  function allocate(size) {
+    // Free the old buffers on the GPU; the new ones upload on next render
+    geometry.dispose();
+    for (const [name, itemSize] of Object.entries(INSTANCE_ATTRIBUTES)) {
+      const array = new Float32Array(size * itemSize);
+      const old = geometry.getAttribute(name);
+      if (old) array.set(old.array.subarray(0, count * itemSize));
+      const attribute = new THREE.InstancedBufferAttribute(array, itemSize);
+      attribute.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(name, attribute);
+    }
+    capacity = size;
+  }
+  allocate(capacity);
+  geometry.instanceCount = 0;
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.merge([
+      THREE.UniformsLib.fog,
+      {
+        atlas: { value: null },
+        cellUv: { value: cellUv },
+        glyphSize: { value: glyphSize },
+        advance: { value: advance },
+        columns: { value: ATLAS_COLUMNS },
+      },
+    ]),
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: FRAGMENT_SHADER,
+    transparent: true,
+    depthWrite: false,
+    fog: true,
+  });
+  // Merging clones uniform values; the atlas texture must stay shared
+  material.uniforms.atlas.value = texture;
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.frustumCulled = false; // instances are spread over the whole space
+
+  function attr(name) {
+    dirty.add(name);
+    return geometry.getAttribute(name).array;
+  }
+
+  return {
+    mesh,
+
+    get count() {
+      return count;
+    },
+
+    /**
+     * Add a word. Returns its instance index.
+     *
+     * @param {string} word
+     * @param {{ position: THREE.Vector3, color: THREE.Color, scale: number, opacity?: number }} style
+     * @returns {number}
+     */
+    add(word, { position, color, scale, opacity = 0 }) {
+      if (count === capacity) allocate(Math.max(1, capacity * 2));
+      const i = count++;
+      geometry.instanceCount = count;
+
+      const codes = glyphCodes(word);
+      const chars = [attr('wordChars0'), attr('wordChars1'), attr('wordChars2'), attr('wordChars3')];
+      for (let s = 0; s < MAX_CHARS; s++) chars[s >> 2][i * 4 + (s & 3)] = codes[s] || 0;
+      attr('wordLength')[i] = codes.length;
+
+      this.setPosition(i, position);
+      this.setColor(i, color);
+      this.setScale(i, scale);
+      this.setOpacity(i, opacity);
+      return i;
+    },
+
+    /**
+     * Remove a word. The last word moves into its slot; returns that
+     * word's old index (or -1 if the removed word was the last).
+     */
+    remove(i) {
+      const last = --count;
+      geometry.instanceCount = count;
+      if (i === last) return -1;
+      for (const [name, itemSize] of Object.entries(INSTANCE_ATTRIBUTES)) {
+        const array = attr(name);
+        array.copyWithin(i * itemSize, last * itemSize, (last + 1) * itemSize);
+      }
+      return last;
+    },
+
+    setPosition(i, { x, y, z }) {
+      const array = attr('wordPosition');
+      array[i * 3] = x;
+      array[i * 3 + 1] = y;
+      array[i * 3 + 2] = z;
+    },
+
+    setColor(i, { r, g, b }) {
+      const array = attr('wordColor');
+      array[i * 3] = r;
+      array[i * 3 + 1] = g;
+      array[i * 3 + 2] = b;
+    },
+
+    /**
+     * @param {number} i
+     * @param {number} scale - world height of the word's line box
+     */
+    setScale(i, scale) {
+      attr('wordScale')[i] = scale;
+    },
+
+    /**
+     * @param {number} i
+     * @param {number} opacity - 0 hides the word entirely
+     */
+    setOpacity(i, opacity) {
+      attr('wordOpacity')[i] = opacity;
+    },
+
+    /**
+     * Upload the attributes changed since the last commit.
+     */
+    commit() {
+      for (const name of dirty) geometry.getAttribute(name).needsUpdate = true;
+      dirty.clear();
+    },
+
+    dispose() {
+      geometry.dispose();
+      material.dispose();
+    },
+  };
+}
+
+/**
+ * Width of a word drawn at a given scale, in world units.
+ *
+ * @param {string} word
+ * @param {number} scale - as passed to setScale
+ * @returns {number}
+ */
+export function textWidth(word, scale) {
+  const { advance } = getGlyphAtlas();
+  return Math.min([...word].length, MAX_CHARS) * advance * scale;
+}
@@ -0,0 +1,274 @@
+/**
+ * Touch flight — for phones and tablets, which have no pointer lock.
+ *
+ * While flying, a virtual joystick (bottom left) moves, two buttons
+ * (bottom right) climb and sink, dragging anywhere else looks around
+ * and a quick tap picks the word under the finger. The gyro button
+ * steers the view by the device's orientation instead: hold the phone
+ * up and turn to look, with sideways drags still turning.
+ *
+ * The controls only read touches while active; paused, taps reach the
+ * page as ordinary clicks. FlightController polls them once a frame,
+ * as it does the gamepad.
+ */
+
+import * as THREE from 'three';
+
+// Joystick deflection ignored as a resting thumb, as a fraction of its radius
+const STICK_DEAD_ZONE = 0.12;
+// A touch that moves less than this (px) and lifts within TAP_TIME (ms) is a tap
+const TAP_SLOP = 10;
+const TAP_TIME = 300;
+
+/**
+ * Whether touch is the only way to point — a phone or tablet rather
+ * than a laptop with a touchscreen.
+ */
+export function isTouchOnly() {
+  return matchMedia('(pointer: coarse)').matches && !matchMedia('(any-pointer: fine)').matches;
+}
+
+// Device orientation to camera orientation, as three.js's former
+// DeviceOrientationControls did it: the device's frame looks down its
+// z axis, so turn it -90° about x, then undo the screen's rotation
+const zee = new THREE.Vector3(0, 0, 1);
+const deviceEuler = new THREE.Euler();
+const screenTurn = new THREE.Quaternion();
+const lookOut = new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5));
+
+function deviceQuaternion(out, { alpha, beta, gamma }, screenAngle) {
+  const rad = THREE.MathUtils.degToRad;
+  deviceEuler.set(rad(beta), rad(alpha), -rad(gamma), 'YXZ');
+  out.setFromEuler(deviceEuler);
+  out.multiply(lookOut);
+  out.multiply(screenTurn.setFromAxisAngle(zee, -rad(screenAngle)));
+  return out;
+}
+
+function screenAngle() {
+  if (screen.orientation) return screen.orientation.angle;
+  return window.orientation || 0;
+}
+
+function element(className, text = '') {
+  const el = document.createElement('div');
+  el.className = className;
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Create the touch controls inside a container (the HUD).
+ *
+ * poll() returns { move: {x, y}, up, down, look: {x, y}, orientation }:
+ * the joystick (y down is positive, like a gamepad stick), whether the
+ * climb and sink buttons are held, how far (px) look drags have moved
+ * since the last poll, and the device's orientation as a camera
+ * quaternion — null unless the gyro is on and reporting.
+ *
+ * @param {HTMLElement} container - holds the joystick and buttons
+ * @param {HTMLElement} domElement - the canvas, where drags look and taps pick
+ * @param {object} handlers
+ * @param {(ndc: THREE.Vector2) => void} handlers.onTap - a tap while flying, in normalized device coordinates
+ * @param {() => void} handlers.onPause - the pause button
+ * @returns {object} touch controls with activate, deactivate, poll, dispose
+ */
+export function createTouchControls(container, domElement, { onTap, onPause }) {
+  let active = false;
+  const move = { x: 0, y: 0 };
+  const look = { x: 0, y: 0 };
+  const held = { up: false, down: false };
+  let stickPointer = null;
+  const drags = new Map(); // pointerId → { x, y, startX, startY, startTime }
+
+  let gyro = false;
+  let reading = null;       // latest deviceorientation event values
+  const orientation = new THREE.Quaternion();
+
+  // --- Elements ---
+  const root = element('touch-controls');
+  const stick = element('touch-stick');
+  const knob = element('touch-knob');
+  stick.append(knob);
+  const upButton = element('touch-button touch-up', '▲');
+  const downButton = element('touch-button touch-down', '▼');
+  const pauseButton = element('touch-button touch-pause', '❚❚');
+  const gyroButton = element('touch-button touch-gyro', 'Gyro');
+  root.append(stick, upButton, downButton, pauseButton);
+  if (typeof DeviceOrientationEvent !== 'undefined') root.append(gyroButton);
+  root.classList.add('hidden');
+  container.append(root);
+
+  // The HUD's taps mustn't reach the page, where a click starts flying
+  root.addEventListener('click', e => e.stopPropagation());
+
+  // --- Joystick ---
+  function moveStick(e) {
+    const rect = stick.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = (e.clientX - rect.left - radius) / radius;
+    let y = (e.clientY - rect.top - radius) / radius;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    knob.style.transform = `translate(${x * radius * 0.6}px, ${y * radius * 0.6}px)`;
+    const strength = length < STICK_DEAD_ZONE ? 0 : Math.min(1, (length - STICK_DEAD_ZONE) / (1 - STICK_DEAD_ZONE));
+    const scale = length > 0 ? strength / Math.min(1, length) : 0;
+    move.x = x * scale;
+    move.y = y * scale;
+  }
+
+  function releaseStick() {
+    stickPointer = null;
+    move.x = 0;
+    move.y = 0;
+    knob.style.transform = '';
+  }
+
+  stick.addEventListener('pointerdown', (e) => {
+    if (stickPointer !== null) return;
+    stickPointer = e.pointerId;
+    stick.setPointerCapture(e.pointerId);
+    moveStick(e);
+  });
+  stick.addEventListener('pointermove', (e) => {
+    if (e.pointerId === stickPointer) moveStick(e);
+  });
+  stick.addEventListener('pointerup', (e) => {
+    if (e.pointerId === stickPointer) releaseStick();
+  });
+  stick.addEventListener('pointercancel', (e) => {
+    if (e.pointerId === stickPointer) releaseStick();
+  });
+
+  // --- Climb and sink ---
+  for (const [button, key] of [[upButton, 'up'], [downButton, 'down']]) {
+    button.addEventListener('pointerdown', (e) => {
+      button.setPointerCapture(e.pointerId);
+      held[key] = true;
+    });
+    for (const type of ['pointerup', 'pointercancel']) {
+      button.addEventListener(type, () => { held[key] = false; });
+    }
+  }
+
+  pauseButton.addEventListener('click', onPause);
+
+  // --- Gyro ---
+  function onOrientation(e) {
+    if (e.alpha === null) return;
+    reading = { alpha: e.alpha, beta: e.beta, gamma: e.gamma };
+  }
+
+  function setGyro(on) {
+    gyro = on;
+    reading = null;
+    gyroButton.classList.toggle('on', on);
+    if (on) window.addEventListener('deviceorientation', onOrientation);
+    else window.removeEventListener('deviceorientation', onOrientation);
+  }
+
+  gyroButton.addEventListener('click', async () => {
+    if (gyro) {
+      setGyro(false);
+      return;
+    }
+    // iOS asks the user first, and only from a tap
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        if (await DeviceOrientationEvent.requestPermission() !== 'granted') {
+          gyroButton.textContent = 'No gyro';
+          return;
+        }
+      } catch (err) {
+        console.warn('Device orientation permission failed:', err);
+        gyroButton.textContent = 'No gyro';
+        return;
+      }
+    }
+    setGyro(true);
+  });
+
+  // --- Drag to look, tap to pick ---
+  function onPointerDown(e) {
+    if (!active || e.pointerType !== 'touch') return;
+    drags.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, startTime: performance.now() });
+  }
+
+  function onPointerMove(e) {
+    const drag = drags.get(e.pointerId);
+    if (!drag) return;
+    look.x += e.clientX - drag.x;
+    look.y += e.clientY - drag.y;
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+  }
+
+  function onPointerUp(e) {
+    const drag = drags.get(e.pointerId);
+    if (!drag) return;
+    drags.delete(e.pointerId);
+    const still = Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < TAP_SLOP;
+    if (e.type === 'pointerup' && still && performance.now() - drag.startTime < TAP_TIME) {
+      const rect = domElement.getBoundingClientRect();
+      onTap(new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1,
+      ));
+    }
+  }
+
+  domElement.style.touchAction = 'none';
+  domElement.addEventListener('pointerdown', onPointerDown);
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerup', onPointerUp);
+  domElement.addEventListener('pointercancel', onPointerUp);
+
+  return {
+    /**
+     * Show the controls and start reading touches (flying).
+     */
+    activate() {
+      active = true;
+      root.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the controls and let go of every touch (paused).
+     */
+    deactivate() {
+      active = false;
+      root.classList.add('hidden');
+      releaseStick();
+      held.up = false;
+      held.down = false;
+      drags.clear();
+      look.x = 0;
+      look.y = 0;
+    },
+
+    poll() {
+      const state = {
+        move: { ...move },
+        up: held.up,
+        down: held.down,
+        look: { ...look },
+        orientation: gyro && reading ? deviceQuaternion(orientation, reading, screenAngle()) : null,
+      };
+      look.x = 0;
+      look.y = 0;
+      return state;
+    },
+
+    dispose() {
+      setGyro(false);
+      root.remove();
+      domElement.removeEventListener('pointerdown', onPointerDown);
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerup', onPointerUp);
+      domElement.removeEventListener('pointercancel', onPointerUp);
+    },
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Vector math on the flat, row-major embedding matrix.
+ *
+ * Kept free of any model or DOM imports so both the worker and the
+ * main thread can use it without pulling in Transformers.js.
+ */
+
+/**
+ * Cosine similarity between two vectors (Float32Array or number[]).
+ *
+ * @param {Float32Array|number[]} a
+ * @param {Float32Array|number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let magA = 0;
+  let magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  magA = Math.sqrt(magA);
+  magB = Math.sqrt(magB);
+  if (magA === 0 || magB === 0) return 0;
+  return dot / (magA * magB);
+}
+
+/**
+ * Get the embedding vector for a word at a given index in the flat vectors array.
+ *
+ * @param {number} index - word index in the vocabulary
+ * @param {Float32Array} vectors - flat row-major embedding data
+ * @param {number} dims - embedding dimensionality
+ * @returns {Float32Array} - slice view into the vectors array
+ */
+export function getVector(index, vectors, dims) {
+  const start = index * dims;
+  return vectors.subarray(start, start + dims);
+}
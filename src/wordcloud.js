@@ -1,11 +1,48 @@
 /**
- * Render words as 3D text sprites in the scene.
+ * Render words as 3D text in the scene.
  *
- * Uses canvas-based sprites for each word — simple, fast,
- * and they always face the camera (billboarding).
+ * The word cloud is one instanced text mesh (see textmesh.js); each
+ * word is an entry { word, position, size, width, tone, baseOpacity,
+ * fade, color, opacity, highlight, index } whose index is its instance
+ * in the mesh. Size and width are in world units. A grid index over
+ * the entries (see spatialindex.js) answers the distance queries —
+ * visibility, nearby words, picking — and is rebuilt whenever words
+ * move, arrive or leave. Of the words in range, at most a budget of
+ * them are shown, chosen so labels don't pile on top of each other.
+ * The few large labels — beacons and cluster names — are canvas-based
+ * sprites, drawn in white and tinted by their material colour.
  */
 
 import * as THREE from 'three';
+import { createTextMesh, textWidth } from './textmesh.js';
+import { createSpatialIndex } from './spatialindex.js';
+
+// Beyond this distance words are hidden
+export const CULL_DISTANCE = 250;
+
+// Highlighted words (hovered, selected) are drawn this much larger
+const HIGHLIGHT_SCALE = 1.5;
+
+// Guest words — searched for, not selected — are drawn at full
+// strength in their own colour, whatever the colour mode
+const GUEST_COLOR = new THREE.Color('#ffd24a');
+
+// How many words may be on screen at once (the HUD density slider)
+export const MIN_WORD_BUDGET = 100;
+export const MAX_WORD_BUDGET = 10000;
+export const DEFAULT_WORD_BUDGET = 1500;
+
+// Seconds between re-choosing the words on screen, and for a word to
+// fade fully in or out when it gains or loses its place
+const LAYOUT_INTERVAL = 0.1;
+const LAYOUT_FADE = 0.25;
+// A shown word's priority is raised by this much, so near ties don't
+// flicker between layouts
+const LAYOUT_STICKINESS = 1.3;
+// Screen grid for the overlap test, and how much of a label's box
+// may overlap a neighbour's
+const DECLUTTER_CELLS = 32;
+const DECLUTTER_SHRINK = 0.8;
 
 // Cache for word textures
 const textureCache = new Map();
@@ -42,10 +79,11 @@ function createWordTexture(word, color = '#ffffff', fontSize = 32) {
  * Create a sprite for a single word.
  */
 function createWordSprite(word, x, y, z, { color = '#aaaacc', scale = 1 } = {}) {
-  const { texture, width, height } = createWordTexture(word, color);
+  const { texture, width, height } = createWordTexture(word);
 
   const material = new THREE.SpriteMaterial({
     map: texture,
+    color,
     transparent: true,
     opacity: 0.8,
     depthWrite: false,
@@ -64,26 +102,25 @@ function createWordSprite(word, x, y, z, { color = '#aaaacc', scale = 1 } = {})
   return sprite;
 }
 
+// Axis beacon colors
+export const BEACON_COLORS = {
+  'x+': '#ff6666', // right = red
+  'x-': '#6666ff', // left = blue
+  'y+': '#66ff66', // up = green
+  'y-': '#ffaa33', // down = orange
+  'z+': '#ff66ff', // forward = magenta
+  'z-': '#66ffff', // backward = cyan
+};
+
 /**
- * Build the full word cloud in the scene.
+ * Build the beacons — the 6 axis words of the current slice as glowing
+ * landmarks. Rebuilt whenever the slice changes.
  */
-export function buildWordCloud(scene, projectedWords, beacons) {
-  const wordGroup = new THREE.Group();
+export function buildBeacons(scene, beacons) {
   const beaconGroup = new THREE.Group();
 
-  // Axis beacon colors
-  const beaconColors = {
-    'x+': '#ff6666', // right = red
-    'x-': '#6666ff', // left = blue
-    'y+': '#66ff66', // up = green
-    'y-': '#ffaa33', // down = orange
-    'z+': '#ff66ff', // forward = magenta
-    'z-': '#66ffff', // backward = cyan
-  };
-
-  // Add beacons — the 6 axis words as glowing landmarks
   for (const beacon of beacons) {
-    const color = beaconColors[beacon.axis] || '#ffffff';
+    const color = BEACON_COLORS[beacon.axis] || '#ffffff';
     const sprite = createWordSprite(
       beacon.word.toUpperCase(),
       beacon.x, beacon.y, beacon.z,
@@ -100,91 +137,509 @@ export function buildWordCloud(scene, projectedWords, beacons) {
     beaconGroup.add(light);
   }
 
-  // Sort words by magnitude — most "interesting" first (furthest from origin)
-  const sorted = [...projectedWords].sort((a, b) => b.magnitude - a.magnitude);
+  scene.add(beaconGroup);
+  return beaconGroup;
+}
+
+function disposeGroup(scene, group) {
+  scene.remove(group);
+  for (const child of group.children) {
+    if (child.material) child.material.dispose();
+  }
+}
+
+/**
+ * Remove a beacon group from the scene and free its materials.
+ */
+export function disposeBeacons(scene, beaconGroup) {
+  disposeGroup(scene, beaconGroup);
+}
 
-  // Compute magnitude range for adaptive normalization
+/**
+ * Colour of a cluster. Successive clusters step round the hue circle
+ * by the golden angle, so neighbouring indices never look alike.
+ *
+ * @param {number} cluster
+ * @param {number} [lightness]
+ * @returns {THREE.Color}
+ */
+export function clusterColor(cluster, lightness = 0.6) {
+  return new THREE.Color().setHSL((cluster * 0.618034) % 1, 0.7, lightness);
+}
+
+/**
+ * Build a large label for each cluster, named after its most central
+ * word and floating at the centroid of its members in the current
+ * slice. Rebuilt whenever the slice or the clustering changes.
+ *
+ * @param {THREE.Scene} scene
+ * @param {Array<{x: number, y: number, z: number, cluster?: number}>} projectedWords
+ * @param {Array<{name: string, size: number}>} clusters
+ * @returns {THREE.Group} already added to the scene
+ */
+export function buildClusterLabels(scene, projectedWords, clusters) {
+  const sums = clusters.map(() => new THREE.Vector3());
+  for (const w of projectedWords) {
+    if (w.cluster === undefined) continue;
+    sums[w.cluster].x += w.x;
+    sums[w.cluster].y += w.y;
+    sums[w.cluster].z += w.z;
+  }
+
+  const labelGroup = new THREE.Group();
+  clusters.forEach(({ name, size }, c) => {
+    const at = sums[c].divideScalar(size);
+    const sprite = createWordSprite(name, at.x, at.y, at.z, {
+      color: clusterColor(c, 0.7),
+      scale: 5,
+    });
+    sprite.material.opacity = 0.9;
+    sprite.userData.isClusterLabel = true;
+    labelGroup.add(sprite);
+  });
+
+  scene.add(labelGroup);
+  return labelGroup;
+}
+
+/**
+ * Remove a cluster label group from the scene and free its materials.
+ */
+export function disposeClusterLabels(scene, labelGroup) {
+  disposeGroup(scene, labelGroup);
+}
+
+// Analogy arrows: a→b and c→result share a colour, so the two
+// relationships read as one shape to compare
+export const ANALOGY_COLORS = {
+  relation: '#ffd24a',
+  result: '#ff9a3a',
+};
+
+/**
+ * Build the arrows for an analogy a : b :: c : ? — one from a to b and
+ * one from c to the result, each end labelled. When the slice keeps the
+ * relationship, the two arrows run parallel and equally long.
+ *
+ * @param {THREE.Scene} scene
+ * @param {Array<{word: string, x: number, y: number, z: number}>} points
+ *   a, b, c and the result, placed in the current slice
+ * @returns {THREE.Group} already added to the scene
+ */
+export function buildAnalogyArrows(scene, points) {
+  const group = new THREE.Group();
+  const [a, b, c, result] = points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+  for (const [from, to] of [[a, b], [c, result]]) {
+    const direction = to.clone().sub(from);
+    const length = direction.length();
+    if (length < 1e-6) continue;
+    const head = Math.min(0.2 * length, 4);
+    group.add(new THREE.ArrowHelper(direction.normalize(), from, length, ANALOGY_COLORS.relation, head, head * 0.5));
+  }
+
+  points.forEach((p, i) => {
+    const sprite = createWordSprite(p.word, p.x, p.y, p.z, {
+      color: i === 3 ? ANALOGY_COLORS.result : ANALOGY_COLORS.relation,
+      scale: 3,
+    });
+    sprite.material.opacity = 1.0;
+    sprite.material.fog = false;
+    sprite.userData.isAnalogyLabel = true;
+    group.add(sprite);
+  });
+
+  scene.add(group);
+  return group;
+}
+
+/**
+ * Remove analogy arrows from the scene and free their buffers.
+ */
+export function disposeAnalogyArrows(scene, group) {
+  for (const child of group.children) {
+    if (child.isArrowHelper) child.dispose();
+  }
+  disposeGroup(scene, group);
+}
+
+/**
+ * Magnitude at the 90th percentile, so a few extreme words don't make
+ * everything else look dim.
+ */
+function magnitudeP90(sorted) {
   const magMax = sorted.length > 0 ? sorted[0].magnitude : 1;
   const magP90 = sorted.length > 100 ? sorted[Math.floor(sorted.length * 0.1)].magnitude : magMax;
   console.log(`Word magnitudes: max=${magMax.toFixed(2)}, p90=${magP90.toFixed(2)}, min=${sorted[sorted.length-1]?.magnitude.toFixed(2)}`);
+  return magP90;
+}
+
+/**
+ * The default word colour: a pale blue, brighter for stronger positions
+ * (tone 0-1). Colour modes (see colormodes.js) supply the others.
+ */
+export function toneColor(tone) {
+  const r = Math.round(140 + 115 * tone);
+  const g = Math.round(140 + 90 * tone);
+  const b = Math.round(170 + 85 * tone);
+  return new THREE.Color(`rgb(${r}, ${g}, ${b})`);
+}
+
+function colorFor(w, tone, colorOf) {
+  if (w.guest) return GUEST_COLOR.clone();
+  return colorOf ? colorOf(w, tone) : toneColor(tone);
+}
+
+/**
+ * Color, size and opacity for a word, brighter and slightly larger for
+ * words with stronger positions.
+ */
+function wordStyle(w, magP90, colorOf) {
+  // Normalize using the actual magnitude range (not a fixed divisor)
+  const tone = w.guest ? 1 : Math.min(w.magnitude / magP90, 1);
+
+  return {
+    tone,
+    color: colorFor(w, tone, colorOf),
+    size: 0.8 * (0.6 + tone * 0.8),
+    baseOpacity: 0.35 + tone * 0.55,
+  };
+}
+
+function addWord(wordCloud, w, magP90, colorOf) {
+  const { tone, color, size, baseOpacity } = wordStyle(w, magP90, colorOf);
+  const position = new THREE.Vector3(w.x, w.y, w.z);
+  // Start hidden, LOD will show them
+  const index = wordCloud.text.add(w.word, { position, color, scale: size, opacity: 0 });
+  const entry = {
+    word: w.word, position, size, width: textWidth(w.word, size),
+    tone, baseOpacity, color, fade: 1, opacity: 0, highlight: false, guest: !!w.guest, index,
+    shownAt: 0, placedAt: 0, visibility: 0,
+  };
+  wordCloud.words.push(entry);
+  return entry;
+}
+
+/**
+ * Remove a word from the cloud. The mesh moves its last instance into
+ * the freed slot, so that word's entry follows it.
+ */
+function removeWord(wordCloud, entry) {
+  const moved = wordCloud.text.remove(entry.index);
+  const last = wordCloud.words.pop();
+  if (moved >= 0) {
+    last.index = entry.index;
+    wordCloud.words[entry.index] = last;
+  }
+}
+
+/**
+ * Build the full word cloud in the scene, coloured by colorOf(w, tone)
+ * if given (see colormodes.js), otherwise by strength alone.
+ *
+ * @returns {{ wordCloud: { text: object, words: object[], index: object }, beaconGroup: THREE.Group }}
+ */
+export function buildWordCloud(scene, projectedWords, beacons, { colorOf = null } = {}) {
+  const beaconGroup = buildBeacons(scene, beacons);
+  const wordCloud = {
+    text: createTextMesh(projectedWords.length),
+    words: [],
+    index: createSpatialIndex(),
+    shown: [],      // entries given an opacity last frame
+    frame: 0,
+    layout: 0,      // number of the latest layout
+    layoutBudget: 0,
+    sinceLayout: Infinity,
+  };
+
+  // Sort words by magnitude — most "interesting" first (furthest from origin)
+  const sorted = [...projectedWords].sort((a, b) => b.magnitude - a.magnitude);
+  const magP90 = magnitudeP90(sorted);
+
+  // Add every word — LOD will handle visibility
+  for (const w of sorted) addWord(wordCloud, w, magP90, colorOf);
+  wordCloud.text.commit();
+  wordCloud.index.rebuild(wordCloud.words);
+
+  scene.add(wordCloud.text.mesh);
+
+  return { wordCloud, beaconGroup };
+}
+
+/**
+ * Start morphing the word cloud into a new projection: words in both
+ * glide to their new positions, new words fade in where they land and
+ * words no longer selected fade out and are removed. Staying words
+ * blend to their new colour. Advance it with updateWordTransition().
+ *
+ * @param {{ text: object, words: object[] }} wordCloud
+ * @param {Array<{word: string, x: number, y: number, z: number, magnitude: number, cluster?: number}>} projectedWords
+ * @param {{ duration?: number, colorOf?: Function }} [options] - duration in seconds
+ * @returns {object} transition state
+ */
+export function morphWordCloud(wordCloud, projectedWords, { duration = 1.2, colorOf = null } = {}) {
+  const byWord = new Map(projectedWords.map(w => [w.word, w]));
+  const sorted = [...projectedWords].sort((a, b) => b.magnitude - a.magnitude);
+  const magP90 = magnitudeP90(sorted);
+
+  const moves = [];
+  const staying = new Set();
+  for (const entry of wordCloud.words) {
+    const from = entry.position.clone();
+    const w = byWord.get(entry.word);
+    if (w) {
+      staying.add(w.word);
+      const { tone, color, baseOpacity } = wordStyle(w, magP90, colorOf);
+      entry.baseOpacity = baseOpacity;
+      entry.tone = tone;
+      entry.targetColor = color;
+      moves.push({
+        entry, from, to: new THREE.Vector3(w.x, w.y, w.z), fadeFrom: entry.fade, fadeTo: 1,
+        colorFrom: entry.color.clone(),
+      });
+    } else {
+      moves.push({ entry, from, to: from, fadeFrom: entry.fade, fadeTo: 0, leaving: true });
+    }
+  }
 
-  // Add word sprites — all of them, LOD will handle visibility
   for (const w of sorted) {
-    // Normalize using the actual magnitude range (not a fixed divisor)
-    const t = Math.min(w.magnitude / magP90, 1);
+    if (staying.has(w.word)) continue;
+    const entry = addWord(wordCloud, w, magP90, colorOf);
+    entry.fade = 0;
+    const at = entry.position.clone();
+    moves.push({ entry, from: at, to: at, fadeFrom: 0, fadeTo: 1 });
+  }
 
-    // Brighter and slightly larger for words with stronger positions
-    const r = Math.round(140 + 115 * t);
-    const g = Math.round(140 + 90 * t);
-    const b = Math.round(170 + 85 * t);
-    const color = `rgb(${r}, ${g}, ${b})`;
+  return { wordCloud, moves, progress: 0, duration };
+}
 
-    const scale = 0.6 + t * 0.8;
+/**
+ * Add words to the cloud at once, without a morph — guest words placed
+ * while flying. Styled against the whole cloud, as buildWordCloud()
+ * would have.
+ *
+ * @param {{ text: object, words: object[], index: object }} wordCloud
+ * @param {Array<{magnitude: number}>} projectedWords - every word in the cloud, the new ones included
+ * @param {Array<{word: string, x: number, y: number, z: number, magnitude: number}>} added
+ * @param {{ colorOf?: Function }} [options]
+ */
+export function insertWords(wordCloud, projectedWords, added, { colorOf = null } = {}) {
+  const sorted = [...projectedWords].sort((a, b) => b.magnitude - a.magnitude);
+  const magP90 = magnitudeP90(sorted);
+  for (const w of added) addWord(wordCloud, w, magP90, colorOf);
+  wordCloud.text.commit();
+  wordCloud.index.rebuild(wordCloud.words);
+}
 
-    const sprite = createWordSprite(w.word, w.x, w.y, w.z, { color, scale });
-    sprite.userData.baseOpacity = 0.35 + t * 0.55;
-    sprite.visible = false; // Start hidden, LOD will show them
-    wordGroup.add(sprite);
+/**
+ * Advance a word transition. Returns false once it has finished.
+ */
+export function updateWordTransition(transition, delta) {
+  const { text } = transition.wordCloud;
+  transition.progress = Math.min(1, transition.progress + delta / transition.duration);
+  const p = transition.progress;
+  const t = p < 0.5 ? 2 * p * p : 1 - Math.pow(-2 * p + 2, 2) / 2; // ease in-out
+  for (const { entry, from, to, fadeFrom, fadeTo, colorFrom } of transition.moves) {
+    entry.position.lerpVectors(from, to, t);
+    text.setPosition(entry.index, entry.position);
+    entry.fade = fadeFrom + (fadeTo - fadeFrom) * t;
+    if (colorFrom) {
+      entry.color.lerpColors(colorFrom, entry.targetColor, t);
+      text.setColor(entry.index, entry.color);
+    }
   }
 
-  scene.add(wordGroup);
-  scene.add(beaconGroup);
+  if (transition.progress < 1) {
+    transition.wordCloud.index.rebuild(transition.wordCloud.words);
+    return true;
+  }
+
+  // Done: drop the words that faded out
+  for (const { entry, leaving } of transition.moves) {
+    if (leaving) removeWord(transition.wordCloud, entry);
+  }
+  transition.wordCloud.index.rebuild(transition.wordCloud.words);
+  return false;
+}
+
+/**
+ * Recolour the words in place with colorOf(w, tone) (see
+ * colormodes.js). Words on their way out keep their colour; words
+ * blending to a new colour in a morph blend to this one instead.
+ *
+ * @param {{ text: object, words: object[] }} wordCloud
+ * @param {Array<{word: string}>} projectedWords
+ * @param {(w: object, tone: number) => THREE.Color} colorOf
+ */
+export function recolorWords(wordCloud, projectedWords, colorOf) {
+  const byWord = new Map(projectedWords.map(w => [w.word, w]));
+  for (const entry of wordCloud.words) {
+    const w = byWord.get(entry.word);
+    if (!w) continue;
+    entry.color = colorFor(w, entry.tone, colorOf);
+    entry.targetColor = entry.color.clone();
+    wordCloud.text.setColor(entry.index, entry.color);
+  }
+}
+
+/**
+ * Draw a word larger (hovered or selected) or back at its own size.
+ */
+export function highlightWord(wordCloud, entry, on) {
+  entry.highlight = on;
+  wordCloud.text.setScale(entry.index, entry.size * (on ? HIGHLIGHT_SCALE : 1));
+}
+
+/**
+ * The entry for a word, or null if it isn't in the cloud (or is on
+ * its way out).
+ */
+export function findWord(wordCloud, word) {
+  return wordCloud.words.find(e => e.word === word && e.fade >= 0.5) || null;
+}
 
-  return { wordGroup, beaconGroup };
+/**
+ * Choose which of the words in range get a place on screen: the
+ * highest-priority ones — strong words drawn large — up to the budget,
+ * skipping any whose label would cover a label already placed.
+ * Highlighted and guest words always get a place. Chosen entries are stamped
+ * with the layout number.
+ */
+function layoutWords(wordCloud, camera, budget, cullDistance) {
+  const layout = ++wordCloud.layout;
+  camera.updateMatrixWorld();
+  const tanY = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+  const tanX = tanY * camera.aspect;
+  const view = new THREE.Vector3();
+
+  // Words in front of the camera, with their screen boxes (NDC)
+  const candidates = [];
+  wordCloud.index.forEachInRadius(camera.position, cullDistance, (entry) => {
+    view.copy(entry.position).applyMatrix4(camera.matrixWorldInverse);
+    const depth = -view.z;
+    if (depth <= camera.near) return;
+    const x = view.x / (depth * tanX);
+    const y = view.y / (depth * tanY);
+    const halfWidth = entry.width / (2 * depth * tanX);
+    const halfHeight = entry.size / (2 * depth * tanY);
+    if (Math.abs(x) - halfWidth > 1 || Math.abs(y) - halfHeight > 1) return;
+    let priority = entry.highlight || entry.guest ? Infinity : (0.25 + entry.tone) * halfHeight * entry.fade;
+    if (entry.placedAt === layout - 1) priority *= LAYOUT_STICKINESS;
+    candidates.push({ entry, x, y, halfWidth, halfHeight, priority });
+  });
+  candidates.sort((a, b) => b.priority - a.priority);
+
+  // Placed boxes, bucketed by the screen cells they cover
+  const cells = Array.from({ length: DECLUTTER_CELLS * DECLUTTER_CELLS }, () => []);
+  const toCell = v => Math.max(0, Math.min(DECLUTTER_CELLS - 1, Math.floor((v + 1) / 2 * DECLUTTER_CELLS)));
+  const forEachCell = (box, fn) => {
+    const x1 = toCell(box.x + box.w);
+    const y1 = toCell(box.y + box.h);
+    for (let cx = toCell(box.x - box.w); cx <= x1; cx++) {
+      for (let cy = toCell(box.y - box.h); cy <= y1; cy++) {
+        if (fn(cells[cy * DECLUTTER_CELLS + cx]) === false) return false;
+      }
+    }
+    return true;
+  };
+  const overlaps = (a, b) => Math.abs(a.x - b.x) < a.w + b.w && Math.abs(a.y - b.y) < a.h + b.h;
+
+  let placed = 0;
+  for (const c of candidates) {
+    const always = c.entry.highlight || c.entry.guest;
+    if (placed >= budget && !always) break;
+    const box = { x: c.x, y: c.y, w: c.halfWidth * DECLUTTER_SHRINK, h: c.halfHeight * DECLUTTER_SHRINK };
+    const free = forEachCell(box, cell => !cell.some(other => overlaps(box, other)));
+    if (!free && !always) continue;
+    forEachCell(box, (cell) => { cell.push(box); });
+    c.entry.placedAt = layout;
+    placed++;
+  }
+  wordCloud.layoutBudget = budget;
 }
 
 /**
- * Update word visibility and opacity based on distance from camera (LOD).
+ * Update word opacity based on distance from camera (LOD), then upload
+ * this frame's changes to the mesh.
  *
  * Words fade in as you approach and fade out as you move away.
  * Very close words also get slightly transparent so you can see through the cluster.
+ * Words entering or leaving during a morph are scaled by their fade.
+ * Only words within the cull distance are visited; any that were shown
+ * last frame and are now out of range are hidden. Of the rest, only
+ * those given a place by the latest layout are shown — they fade in
+ * and out as they gain and lose it.
+ *
+ * @param {object} wordCloud
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} delta - seconds since the last frame
+ * @param {object} [options]
+ * @param {number} [options.budget] - most words to show at once
  */
-export function updateWordVisibility(wordGroup, cameraPosition, {
+export function updateWordVisibility(wordCloud, camera, delta, {
+  budget = DEFAULT_WORD_BUDGET,
   innerFade = 5,      // below this distance, start fading out (too close)
   nearDistance = 15,   // fully visible from here
   farDistance = 150,   // start fading out
-  cullDistance = 250,  // fully hidden
+  cullDistance = CULL_DISTANCE,  // fully hidden
 } = {}) {
-  for (const sprite of wordGroup.children) {
-    const dist = sprite.position.distanceTo(cameraPosition);
-    const baseOpacity = sprite.userData.baseOpacity || 0.5;
+  // Re-choose the shown words now and then, or at once for a new budget
+  wordCloud.sinceLayout += delta;
+  if (wordCloud.sinceLayout >= LAYOUT_INTERVAL || budget !== wordCloud.layoutBudget) {
+    wordCloud.sinceLayout = 0;
+    layoutWords(wordCloud, camera, budget, cullDistance);
+  }
+
+  const { text, words, layout } = wordCloud;
+  const cameraPosition = camera.position;
+  const fadeStep = delta / LAYOUT_FADE;
+  const frame = ++wordCloud.frame;
+  const shown = [];
+  wordCloud.index.forEachInRadius(cameraPosition, cullDistance, (entry, distSq) => {
+    const target = entry.placedAt === layout ? 1 : 0;
+    entry.visibility += Math.max(-fadeStep, Math.min(fadeStep, target - entry.visibility));
+    if (entry.visibility <= 0 && entry.opacity === 0) return;
 
-    if (dist > cullDistance) {
-      sprite.visible = false;
-    } else if (dist > farDistance) {
+    const dist = Math.sqrt(distSq);
+    const baseOpacity = (entry.baseOpacity || 0.5) * entry.fade * entry.visibility;
+    let opacity;
+
+    if (dist > farDistance) {
       // Fade out with distance
-      sprite.visible = true;
-      const fade = 1 - (dist - farDistance) / (cullDistance - farDistance);
-      sprite.material.opacity = baseOpacity * fade;
+      opacity = baseOpacity * (1 - (dist - farDistance) / (cullDistance - farDistance));
     } else if (dist < innerFade) {
       // Too close — fade out so you can see through
-      sprite.visible = true;
-      sprite.material.opacity = baseOpacity * (dist / innerFade) * 0.5;
+      opacity = baseOpacity * (dist / innerFade) * 0.5;
     } else if (dist < nearDistance) {
       // Fading in as you approach
-      sprite.visible = true;
       const fade = (dist - innerFade) / (nearDistance - innerFade);
-      sprite.material.opacity = baseOpacity * (0.5 + fade * 0.5);
+      opacity = baseOpacity * (0.5 + fade * 0.5);
     } else {
       // Sweet spot — fully visible
-      sprite.visible = true;
-      sprite.material.opacity = baseOpacity;
+      opacity = baseOpacity;
     }
+
+    entry.opacity = opacity;
+    entry.shownAt = frame;
+    text.setOpacity(entry.index, opacity);
+    shown.push(entry);
+  });
+
+  // Hide words that left the range (unless a morph removed them)
+  for (const entry of wordCloud.shown) {
+    if (entry.shownAt === frame || words[entry.index] !== entry) continue;
+    entry.opacity = 0;
+    entry.visibility = 0;
+    text.setOpacity(entry.index, 0);
   }
+  wordCloud.shown = shown;
+  text.commit();
 }
 
 /**
  * Find the N nearest words to a position.
  */
-export function findNearbyWords(wordGroup, position, count = 5) {
-  const distances = [];
-  for (const sprite of wordGroup.children) {
-    if (!sprite.visible) continue;
-    distances.push({
-      word: sprite.userData.word,
-      distance: sprite.position.distanceTo(position),
-    });
-  }
-  distances.sort((a, b) => a.distance - b.distance);
-  return distances.slice(0, count);
+export function findNearbyWords(wordCloud, position, count = 5) {
+  return wordCloud.index
+    .nearest(position, count, entry => entry.opacity > 0 && entry.fade >= 0.5)
+    .map(({ item, distance }) => ({ word: item.word, distance }));
 }